@@ -8,9 +8,17 @@
  *   - adding L4, L5 (as C2)
  *   - updating L7, L8 to C2 (cloud mask, scale factors, band names, etc) 
  *   - removed S2 b/c it affected RF probabilities (need to look into Landsat-S2 harmonized dataset)
+ *     (S2 is back as an optional HLS-adjusted source with an SCL / cloud probability mask)
  *   - removed pre- variables (added post-values but not incorporated to model)
  *   - added in training data further back in time (1985-2020)
  *   - hard coded the search query to June15-Aug31 (instead of MODIS snow free search)
+ *   - search window is now set from the panel, with an optional MODIS snow-free adaptive mode
+ *   - tasseled cap coefficients are sensor specific (TM, ETM+, OLI), the legacy single set is a panel option
+ *   - optional TM/ETM+ - OLI reflectance harmonization (Roy et al. 2016) before the indices
+ *   - all indices (and their differenced forms) come from one registry, custom indices can be added in the panel
+ *   - the pipeline (collections, composites, RF, rules, exports) is the tundra_fire_pipeline.js module,
+ *     this app is a panel on top of it
+ *   - the ROI can be drawn (rectangles / polygons, all kept), an asset, pasted GeoJSON or one ecozone / ecoregion
  * 
  *  PLEASE CITE THE FOLLOWING PAPER:
  *  Hethcoat et al. 2024. Unrecorded tundra fires in Canada 1986–2022. Remote Sensing 
@@ -19,12 +27,17 @@
 
 
 
-var allVars = ['RBR', 'RdNBR', 'dNBR', 'dNBR2', 'dNDVI','dNDMI', 'dNDWI', 'dEVI', 'dMIRBI',
-               'dBAI', 'dBAIMs', 'dCSI', 'dBSI',  'dMSAVI', 'dTCB', 'dTCG', 'dTCW'];
+// candidate fire pipeline (Scripts/tundra_fire_pipeline.js in the repository), published as the
+// Scripts/tundra_fire_pipeline script of the users/mghethcoat/tundraFire Code Editor repository.
+// To run a copy of the app, add tundra_fire_pipeline.js to one of your own Code Editor repositories
+// (e.g. users/<you>/tundraFire, as Scripts/tundra_fire_pipeline) and point this path to it (see README.md)
+var pipeline = require('users/mghethcoat/tundraFire:Scripts/tundra_fire_pipeline');
 
-var predictorVariables = [ 'dNBR2', 'dTCG', 'dTCB' ];
-var allVariables = ['nbr','nbr2','ndvi','ndmi','ndwi','evi','mirbi',
-                    'bai', 'baims','csi','bsi','msavi','tcb','tcg','tcw'];
+// index registry of the pipeline, custom indices added in the panel end up in these lists
+var allVars = pipeline.allVars;
+var allVariables = pipeline.allVariables;
+// default predictors, the panel lets the user pick any subset of allVars
+var predictorVariables = pipeline.predictorVariables;
 
 
 
@@ -33,7 +46,7 @@ var allVariables = ['nbr','nbr2','ndvi','ndmi','ndwi','evi','mirbi',
 // User interface (panel left)
 // **********************************************************************************************************************
 Map.style().set('cursor', 'hand');
-Map.drawingTools().setDrawModes(["rectangle"]);
+Map.drawingTools().setDrawModes(["rectangle", "polygon"]);
 Map.setOptions('TERRAIN'); 
 Map.setCenter(-120, 65, 6);
 
@@ -69,252 +82,1953 @@ var runButton = ui.Button({
 });
 
 
-var ROI_selection = ui.Checkbox({
-  label: 'Draw polygon (instead of default ROI)',  
+// ---------------------------------------- region of interest ----------------------------------------
+var label_roi_selection = ui.Label({
+  value:'Region of interest:', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var roiSource_selection = ui.Select({
+  items: [
+    {label: 'drawn geometries (all rectangles / polygons on the map)', value: 'draw'},
+    {label: 'default ROI (northern ecozones, true tundra)', value: 'default'},
+    {label: 'FeatureCollection asset', value: 'asset'},
+    {label: 'GeoJSON (paste below)', value: 'geojson'},
+    {label: 'ecozone / ecoregion', value: 'region'}
+  ],
+  value: 'draw',
+  style: {width: '380px'},
+  onChange: function(value) {
+    if(value === 'region' && regionName_selection.items().length() === 0) {
+      listRegions();
+    }
+  }
+});
+
+var clearDrawing_button = ui.Button({
+  label: 'Clear drawn geometries',
+  onClick: function() {
+    clearDrawnGeometries();
+  }
+});
+
+var roiAsset_selection = ui.Textbox({
+  placeholder: 'FeatureCollection asset ID of the ROI',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var roiGeojson_selection = ui.Textbox({
+  placeholder: 'GeoJSON FeatureCollection, Feature or geometry',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+// ecozone / ecoregion layers of the dropdown, the asset and name property can be changed in the panel
+var roiRegionSets = {
+  ecozone: {asset: pipeline.defaultROIAsset, property: 'ZONE_NAME'},
+  ecoregion: {asset: 'RESOLVE/ECOREGIONS/2017', property: 'ECO_NAME',
+              filter: ee.Filter.and(ee.Filter.eq('REALM', 'Nearctic'), 
+                                    ee.Filter.inList('BIOME_NAME', ['Tundra', 'Boreal Forests/Taiga']))}
+};
+
+var regionLevel_selection = ui.Select({
+  items: ['ecozone', 'ecoregion'],
+  value: 'ecozone',
+  style: {width: '100px'},
+  onChange: function(value) {
+    regionAsset_selection.setValue(roiRegionSets[value].asset);
+    regionProperty_selection.setValue(roiRegionSets[value].property);
+    listRegions();
+  }
+});
+var regionAsset_selection = ui.Textbox({value: roiRegionSets.ecozone.asset, 
+                                        style: {width: '270px', color: '000000', backgroundColor:'FFFFFF'}});
+var regionProperty_selection = ui.Textbox({value: roiRegionSets.ecozone.property, 
+                                           style: {width: '100px', color: '000000', backgroundColor:'FFFFFF'}});
+var regionList_button = ui.Button({
+  label: 'List',
+  onClick: function() {
+    listRegions();
+  }
+});
+var regionName_selection = ui.Select({
+  items: [],
+  placeholder: 'pick an ecozone / ecoregion',
+  style: {width: '380px'}
+});
+
+var roi_panel = ui.Panel({
+  widgets: [
+    roiSource_selection,
+    clearDrawing_button,
+    roiAsset_selection,
+    roiGeojson_selection,
+    ui.Panel({
+      widgets: [regionLevel_selection, regionAsset_selection],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {backgroundColor:'FFFFFF'}
+    }),
+    ui.Panel({
+      widgets: [regionProperty_selection, regionList_button],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {backgroundColor:'FFFFFF'}
+    }),
+    regionName_selection
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+var Download_selection = ui.Checkbox({
+  label: 'Check to export vectors',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Download_selection = value;
+  }
+});
+
+
+var label_window_selection = ui.Label({
+  value:'Seasonal search window (MM-DD start / end):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+var windowStart_selection = ui.Textbox({
+  value: '06-15',
+  placeholder: 'MM-DD',
+  style: {width: '120px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var windowEnd_selection = ui.Textbox({
+  value: '09-01',
+  placeholder: 'MM-DD',
+  style: {width: '120px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var window_panel = ui.Panel({
+  widgets: [windowStart_selection, windowEnd_selection],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+var Snowfree_selection = ui.Checkbox({
+  label: 'Snow-free adaptive window (MODIS snow cover)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    // the fixed window is ignored when the adaptive window is used
+    windowStart_selection.setDisabled(value);
+    windowEnd_selection.setDisabled(value);
+  }
+});
+
+
+// ---------------------------------------- RF predictor variables ----------------------------------------
+var label_predictor_selection = ui.Label({
+  value:'Predictor variables (RF is retrained on the selection):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+// one checkbox per candidate differenced index
+var predictor_checkboxes = {};
+var predictor_panel = ui.Panel({
+  layout: ui.Panel.Layout.flow('horizontal', true),
+  style: {backgroundColor:'FFFFFF'}
+});
+allVars.forEach(function(name) {
+  predictor_checkboxes[name] = ui.Checkbox({
+    label: name,
+    value: predictorVariables.indexOf(name) !== -1,
+    style: {color: '000000', backgroundColor:'FFFFFF', width: '80px'}
+  });
+  predictor_panel.add(predictor_checkboxes[name]);
+});
+
+// custom index (added to the pipeline's indexRegistry, and to the predictors as d<NAME>)
+var indexName_selection = ui.Textbox({placeholder: 'name', style: {width: '70px', color: '000000', backgroundColor:'FFFFFF'}});
+var indexFormula_selection = ui.Textbox({
+  placeholder: 'formula, e.g. (nir - sswir) / (nir + sswir)',
+  style: {width: '250px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var indexScale_selection = ui.Textbox({value: '1000', style: {width: '50px', color: '000000', backgroundColor:'FFFFFF'}});
+var IndexRelative_selection = ui.Checkbox({
+  label: 'relative forms (RBR / RdNBR)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF'},
+  onChange: function(value) {
+    var IndexRelative_selection = value;
+  }
+});
+
+var addIndex_button = ui.Button({
+  label: 'Add index',
+  onClick: function() {
+    var error = registerIndex(indexName_selection.getValue() || '', indexFormula_selection.getValue() || '',
+                              parseFloat(indexScale_selection.getValue()), IndexRelative_selection.getValue());
+    message_label.setValue(error || '');
+    if(error === null) {
+      indexName_selection.setValue('');
+      indexFormula_selection.setValue('');
+    }
+  }
+});
+
+var index_panel = ui.Panel({
+  widgets: [
+    ui.Label('Custom index (name / formula / delta scale):', {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'}),
+    ui.Panel([indexName_selection, indexFormula_selection, indexScale_selection], 
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([IndexRelative_selection, addIndex_button], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+// dTCB / dTCG / dTCW of older runs (and of the original training points) used one coefficient set for every sensor,
+// kept as the default until the training table is regenerated with the sensor-specific coefficients
+var LegacyTC_selection = ui.Checkbox({
+  label: 'Legacy tasseled cap (Crist & Cicone 1984 for every sensor)',  
   value: true,
   style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
   onChange: function(value) {
-    var ROI_selection = value;
+    var LegacyTC_selection = value;
+  }
+});
+
+// linear transforms between TM/ETM+ and OLI reflectance (see harmonizationSets of the pipeline), applied before the indices
+var harmonization_selection = ui.Select({
+  items: [
+    {label: 'none', value: 'none'},
+    {label: 'TM/ETM+ to OLI (Roy 2016 OLS)', value: 'roy2016_etm_oli_ols'},
+    {label: 'TM/ETM+ to OLI (Roy 2016 RMA)', value: 'roy2016_etm_oli_rma'},
+    {label: 'OLI to TM/ETM+ (Roy 2016 OLS)', value: 'roy2016_oli_etm_ols'}
+  ],
+  value: 'none',
+  style: {width: '220px'}
+});
+
+// Sentinel-2 as an extra source (adjusted to OLI, see the Format Sentinel-2 section)
+var S2_selection = ui.Checkbox({
+  label: 'Add Sentinel-2 (HLS-adjusted, 2017+) masked by',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    s2Mask_selection.setDisabled(!value);
+  }
+});
+
+var s2Mask_selection = ui.Select({
+  items: [
+    {label: 'scene classification (SCL)', value: 'scl'},
+    {label: 'cloud probability', value: 'probability'}
+  ],
+  value: 'scl',
+  disabled: true,
+  style: {width: '180px'}
+});
+
+var S2_panel = ui.Panel({
+  widgets: [S2_selection, s2Mask_selection],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {backgroundColor:'FFFFFF'}
+});
+
+var harmonization_panel = ui.Panel({
+  widgets: [
+    ui.Label('Cross-sensor harmonization', {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'}),
+    harmonization_selection
+  ],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- RF model registry ----------------------------------------
+var label_model_selection = ui.Label({
+  value:'RF model (registry folder / saved model):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var registry_selection = ui.Textbox({
+  value: 'users/mghethcoat/NRCan/tundraFireModels',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var model_selection = ui.Select({
+  items: [{label: 'train new model', value: 'new'}],
+  value: 'new',
+  style: {width: '200px'},
+  onChange: function(value) {
+    showModelPredictors(value);
+  }
+});
+
+var refreshModels_button = ui.Button({
+  label: 'List saved models',
+  onClick: function() {
+    refreshModels();
+  }
+});
+
+var SaveModel_selection = ui.Checkbox({
+  label: 'Save trained model as:',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var SaveModel_selection = value;
+  }
+});
+
+var modelName_selection = ui.Textbox({
+  placeholder: 'version, e.g. v2024_1',
+  style: {width: '150px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var model_panel = ui.Panel({
+  widgets: [
+    registry_selection,
+    ui.Panel([model_selection, refreshModels_button], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([SaveModel_selection, modelName_selection], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- RF validation ----------------------------------------
+var Validation_selection = ui.Checkbox({
+  label: 'Validation mode (RF accuracy report + CSV export)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Validation_selection = value;
   }
 });
 
+var validationSplit_selection = ui.Select({
+  items: [
+    {label: 'train/test split (70/30)', value: 'holdout'},
+    {label: '5-fold cross-validation', value: 'kfold'}
+  ],
+  value: 'holdout',
+  style: {width: '200px'}
+});
+
+
+// ---------------------------------------- candidate-fire rule thresholds ----------------------------------------
+// changing any of these redraws the candidate layer of the last RUN (no retraining)
+var label_rule_selection = ui.Label({
+  value:'Candidate-fire rules (pixel must pass k of the four):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var ruleLabelStyle = {color: '000000', backgroundColor:'FFFFFF', width: '150px'};
+var ruleBandStyle = {width: '90px'};
+var ruleValueStyle = {width: '80px', color: '000000', backgroundColor:'FFFFFF'};
+
+var rfThresh_selection = ui.Slider({
+  min: 0,
+  max: 1, 
+  value: 0.9, 
+  step: 0.01,
+  onChange: function(value) {
+    redrawCandidates();
+  },
+  style: {width: '200px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var devBand_selection = ui.Select({items: allVariables, value: 'nbr2', style: ruleBandStyle,
+  onChange: function(value) { redrawCandidates(); }});
+var devThresh_selection = ui.Textbox({value: '0.5', style: ruleValueStyle,
+  onChange: function(value) { redrawCandidates(); }});
+
+var subBand_selection = ui.Select({items: allVariables, value: 'nbr2', style: ruleBandStyle,
+  onChange: function(value) { redrawCandidates(); }});
+var subThresh_selection = ui.Textbox({value: '-0.1', style: ruleValueStyle,
+  onChange: function(value) { redrawCandidates(); }});
+
+var mnBand_selection = ui.Select({items: allVariables, value: 'nbr', style: ruleBandStyle,
+  onChange: function(value) { redrawCandidates(); }});
+var mnThresh_selection = ui.Textbox({value: '0', style: ruleValueStyle,
+  onChange: function(value) { redrawCandidates(); }});
+
+var ruleK_selection = ui.Slider({
+  min: 1,
+  max: 4, 
+  value: 4, 
+  step: 1,
+  onChange: function(value) {
+    redrawCandidates();
+  },
+  style: {width: '200px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var Agreement_selection = ui.Checkbox({
+  label: 'Rule agreement mode (count + bitmask layers and exports)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Agreement_selection = value;
+  }
+});
+
+var rule_panel = ui.Panel({
+  widgets: [
+    ui.Panel([ui.Label('RF probability >', ruleLabelStyle), rfThresh_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('ratio to baseline <', ruleLabelStyle), devBand_selection, devThresh_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('difference from baseline <', ruleLabelStyle), subBand_selection, subThresh_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('minimum value <', ruleLabelStyle), mnBand_selection, mnThresh_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('rules required (k of 4)', ruleLabelStyle), ruleK_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    Agreement_selection
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- polygon cleanup ----------------------------------------
+var label_cleanup_selection = ui.Label({
+  value:'Polygon cleanup (recorded in the export filename):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var minSize_selection = ui.Textbox({value: '0', style: ruleValueStyle});
+var minSizeUnit_selection = ui.Select({items: ['pixels', 'hectares'], value: 'pixels', style: ruleBandStyle});
+
+var morph_selection = ui.Select({
+  items: [
+    {label: 'none', value: 'none'},
+    {label: 'open', value: 'open'},
+    {label: 'close', value: 'close'},
+    {label: 'open + close', value: 'openclose'}
+  ],
+  value: 'none',
+  style: ruleBandStyle
+});
+var morphRadius_selection = ui.Textbox({value: '1', style: ruleValueStyle});
+
+var gap_selection = ui.Textbox({value: '0', style: ruleValueStyle});
+var simplify_selection = ui.Textbox({value: '0', style: ruleValueStyle});
+
+var cleanup_panel = ui.Panel({
+  widgets: [
+    ui.Panel([ui.Label('minimum size', ruleLabelStyle), minSizeUnit_selection, minSize_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('morphology (radius px)', ruleLabelStyle), morph_selection, morphRadius_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('merge within gap (m)', ruleLabelStyle), gap_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    ui.Panel([ui.Label('simplify tolerance (m)', ruleLabelStyle), simplify_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- export destination and format ----------------------------------------
+var label_destination_selection = ui.Label({
+  value:'Export destination (Drive folder / asset folder / bucket[/prefix]) and format:', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var destination_selection = ui.Select({
+  items: [
+    {label: 'Google Drive', value: 'drive'},
+    {label: 'Earth Engine asset', value: 'asset'},
+    {label: 'Cloud Storage', value: 'gcs'}
+  ],
+  value: 'drive',
+  style: {width: '150px'},
+  onChange: function(value) {
+    // assets are always stored as EE tables
+    format_selection.setDisabled(value === 'asset');
+  }
+});
+
+var format_selection = ui.Select({
+  items: ['GeoJSON', 'SHP', 'KML', 'KMZ', 'CSV'],
+  value: 'GeoJSON',
+  style: {width: '100px'}
+});
+
+var exportPath_selection = ui.Textbox({
+  value: 'tundraFire_exports',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var Raster_selection = ui.Checkbox({
+  label: 'Also export RF probability + candidate rasters (COG)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Raster_selection = value;
+  }
+});
+
+var rasterScale_selection = ui.Textbox({value: '30', style: ruleValueStyle});
+var rasterCrs_selection = ui.Textbox({value: 'EPSG:4326', style: {width: '120px', color: '000000', backgroundColor:'FFFFFF'}});
+
+var destination_panel = ui.Panel({
+  widgets: [
+    ui.Panel([destination_selection, format_selection], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    exportPath_selection,
+    Raster_selection,
+    ui.Panel([ui.Label('raster scale (m) / CRS', ruleLabelStyle), rasterScale_selection, rasterCrs_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- export tiling (default ROI) ----------------------------------------
+var label_tiling_selection = ui.Label({
+  value:'Export tiling of the default ROI (CRS / tile size km / cell IDs):', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var tileCrs_selection = ui.Textbox({value: 'EPSG:4326', style: {width: '120px', color: '000000', backgroundColor:'FFFFFF'}});
+var tileSize_selection = ui.Textbox({value: '1000', style: ruleValueStyle});
+var tileIds_selection = ui.Textbox({
+  placeholder: 'cell IDs to re-export, e.g. cell_-13_7, cell_-12_7 (blank = all)',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var StitchTiles_selection = ui.Checkbox({
+  label: 'Stitch polygons across tiles (one layer per year)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var StitchTiles_selection = value;
+  }
+});
+
+var tiling_panel = ui.Panel({
+  widgets: [
+    ui.Panel([tileCrs_selection, tileSize_selection], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    tileIds_selection,
+    StitchTiles_selection
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- recorded fire perimeters ----------------------------------------
+var Records_selection = ui.Checkbox({
+  label: 'Compare with recorded fire perimeters (CNFDB / NBAC)',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Records_selection = value;
+  }
+});
+
+var recordsAsset_selection = ui.Textbox({
+  placeholder: 'FeatureCollection asset ID of the perimeters',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var recordsId_selection = ui.Textbox({value: 'NFIREID', style: {width: '100px', color: '000000', backgroundColor:'FFFFFF'}});
+var recordsYear_selection = ui.Textbox({value: 'YEAR', style: {width: '100px', color: '000000', backgroundColor:'FFFFFF'}});
+
+var records_panel = ui.Panel({
+  widgets: [
+    Records_selection,
+    recordsAsset_selection,
+    ui.Panel([ui.Label('fire ID / year property', ruleLabelStyle), recordsId_selection, recordsYear_selection],
+             ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- batch mode (year range) ----------------------------------------
+var Batch_selection = ui.Checkbox({
+  label: 'Batch mode: export every year from / to',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var Batch_selection = value;
+  }
+});
+
+var batchStart_selection = ui.Textbox({
+  value: '1986',
+  style: {width: '60px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var batchEnd_selection = ui.Textbox({
+  value: '2022',
+  style: {width: '60px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var batch_panel = ui.Panel({
+  widgets: [Batch_selection, batchStart_selection, batchEnd_selection],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+var blankBig = ui.Label({value:'__________________', style:{color: 'FFFFFF', backgroundColor:'FFFFFF', fontSize: '20px', textAlign: 'left'}});
+
+
+var message_label = ui.Label({
+  value: '',
+  style: {color: 'B22222', backgroundColor:'FFFFFF', whiteSpace: 'pre'}
+});
+
+
+// summary of the export tasks queued by the batch mode
+var summary_panel = ui.Panel({
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// T-1 / T0 / T+1 scene browser of the last RUN
+var sceneButton = ui.Button({
+  label: 'Scene browser (T-1 / T0 / T+1)',
+  disabled: true,
+  onClick: function() {
+    openSceneBrowser();
+  }
+});
+
+var sceneView_selection = ui.Select({
+  items: [
+    {label: 'side by side (3 maps)', value: 'side'},
+    {label: 'swipe (T-1 | T+1)', value: 'swipe'}
+  ],
+  value: 'side',
+  style: {width: '160px'}
+});
+
+var scene_panel = ui.Panel({
+  widgets: [sceneButton, sceneView_selection],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- review mode ----------------------------------------
+var label_review_selection = ui.Label({
+  value:'Review candidates (asset ID, empty for the last RUN) / reviewer:', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+// an exported labelled set can be loaded here to resume a review
+var reviewAsset_selection = ui.Textbox({
+  placeholder: 'candidate (or reviewed) FeatureCollection asset ID',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+var reviewer_selection = ui.Textbox({
+  placeholder: 'reviewer name',
+  style: {width: '150px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+// every labelled set is also written here as an asset (reviewedCandidates__<reviewer>__<time>) to resume from
+var reviewFolder_selection = ui.Textbox({
+  value: 'users/mghethcoat/NRCan',
+  placeholder: 'asset folder of the resumable review copies',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var reviewButton = ui.Button({
+  label: 'Start review',
+  onClick: function() {
+    startReview();
+  }
+});
+
+var review_settings_panel = ui.Panel({
+  widgets: [
+    reviewAsset_selection,
+    ui.Panel([reviewer_selection, reviewButton], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    reviewFolder_selection
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+// polygon being reviewed and the fire / not fire / uncertain controls
+var review_panel = ui.Panel({
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// ---------------------------------------- training point labelling ----------------------------------------
+var label_training_selection = ui.Label({
+  value:'Training points (click the map after a RUN) / output folder:', 
+  style:{color: '000000', 
+    backgroundColor:'FFFFFF', 
+    fontWeight:'bold'}
+});
+
+var LabelPoints_selection = ui.Checkbox({
+  label: 'Label points on click (instead of inspecting) as:',  
+  value: false,
+  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
+  onChange: function(value) {
+    var LabelPoints_selection = value;
+  }
+});
+
+var pointClass_selection = ui.Select({
+  items: [
+    {label: 'burnt', value: '1'},
+    {label: 'unburnt', value: '0'}
+  ],
+  value: '1',
+  style: {width: '90px'}
+});
+
+// versioned copies of the training table are written here (<table>__v<N>)
+var trainingFolder_selection = ui.Textbox({
+  value: 'users/mghethcoat/NRCan',
+  style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var trainingPoints_label = ui.Label({
+  value: '0 points labelled',
+  style: {color: '000000', backgroundColor:'FFFFFF'}
+});
+
+// training table new models are trained on (the default one, or the last merged version)
+var trainingSource_label = ui.Label({
+  value: 'training data: default table',
+  style: {color: '000000', backgroundColor:'FFFFFF'}
+});
+
+var training_panel = ui.Panel({
+  widgets: [
+    ui.Panel([LabelPoints_selection, pointClass_selection], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    trainingFolder_selection,
+    ui.Panel([
+      ui.Button({label: 'undo', onClick: function() { removeTrainingPoints(trainingPoints.length - 1); }}),
+      ui.Button({label: 'clear', onClick: function() { removeTrainingPoints(0); }}),
+      ui.Button({label: 'Merge, retrain and export', onClick: function() { mergeTrainingPoints(); }})
+    ], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}),
+    trainingPoints_label,
+    ui.Panel([
+      trainingSource_label,
+      ui.Button({label: 'use default', onClick: function() { useDefaultTraining(); }})
+    ], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'})
+  ],
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// pixel inspector (click on the map after a RUN)
+var inspect_panel = ui.Panel({
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+// accuracy report of the validation mode
+var report_panel = ui.Panel({
+  style: {backgroundColor:'FFFFFF'}
+});
+
+
+panel.add(label_year_selection);
+panel.add(year_selection);
+panel.add(label_window_selection);
+panel.add(window_panel);
+panel.add(Snowfree_selection);
+panel.add(label_model_selection);
+panel.add(model_panel);
+panel.add(label_predictor_selection);
+panel.add(predictor_panel);
+panel.add(index_panel);
+panel.add(LegacyTC_selection);
+panel.add(harmonization_panel);
+panel.add(S2_panel);
+panel.add(Validation_selection);
+panel.add(validationSplit_selection);
+panel.add(label_rule_selection);
+panel.add(rule_panel);
+panel.add(label_cleanup_selection);
+panel.add(cleanup_panel);
+panel.add(records_panel);
+panel.add(blankBig);
+panel.add(Download_selection);
+panel.add(label_destination_selection);
+panel.add(destination_panel);
+panel.add(label_tiling_selection);
+panel.add(tiling_panel);
+panel.add(label_roi_selection);
+panel.add(roi_panel);
+panel.add(batch_panel);
+panel.add(runButton);
+panel.add(message_label);
+panel.add(scene_panel);
+panel.add(label_review_selection);
+panel.add(review_settings_panel);
+panel.add(review_panel);
+panel.add(label_training_selection);
+panel.add(training_panel);
+panel.add(summary_panel);
+panel.add(report_panel);
+panel.add(inspect_panel);
+
+ui.root.insert(0,panel);
+
+
+// images and map layer kept from the last RUN so the rules can be redrawn without re-running
+var lastRun = null;
+// candidates and labels of the review mode
+var review = null;
+// map click callback of the pixel inspector
+var inspectCallback = null;
+// points labelled in the app, and the training table they were last merged into
+var trainingPoints = [];
+var trainingLayer = null;
+var mergedTraining = null;
+// ------------------------------------------------------------------------------------------------------------------
+// end  User interface (panel left)
+
+
+
+
+/*******************************************************************************
+* Functions *
+*
+* A section to define functions used on your data later and needed in the app.
+* (the pipeline functions themselves are in tundra_fire_pipeline.js)
+*
+******************************************************************************/
+
+
+
+/*
+  Description: Reads the rule thresholds and bands from the panel
+  Output: rule settings object, or null (with a message in the panel) if a threshold isn't a number
+*/
+var getRuleSettings = function() {
+  var settings = {
+    rfThresh: rfThresh_selection.getValue(),
+    devBand: devBand_selection.getValue(),
+    devThresh: parseFloat(devThresh_selection.getValue()),
+    subBand: subBand_selection.getValue(),
+    subThresh: parseFloat(subThresh_selection.getValue()),
+    mnBand: mnBand_selection.getValue(),
+    mnThresh: parseFloat(mnThresh_selection.getValue()),
+    k: ruleK_selection.getValue()
+  };
+  if(isNaN(settings.devThresh) || isNaN(settings.subThresh) || isNaN(settings.mnThresh)) {
+    message_label.setValue('Rule thresholds must be numbers');
+    return null;
+  }
+  return settings;
+};
+
+
+/*
+  Description: Reads the polygon cleanup options from the panel
+  Inputs: 
+    -scale: pixel size (meters) of the output, used to turn a minimum area into a pixel count
+  Output: cleanup settings object, or null (with a message in the panel) if an option isn't valid
+*/
+var getCleanupSettings = function(scale) {
+  var minSize = parseFloat(minSize_selection.getValue());
+  var settings = {
+    minPixels: minSizeUnit_selection.getValue() === 'hectares' ? 
+                 Math.ceil(minSize * 10000 / (scale * scale)) : Math.ceil(minSize),
+    morph: morph_selection.getValue(),
+    morphRadius: parseInt(morphRadius_selection.getValue(), 10),
+    gap: parseFloat(gap_selection.getValue()),
+    simplify: parseFloat(simplify_selection.getValue())
+  };
+  if(isNaN(minSize) || isNaN(settings.morphRadius) || isNaN(settings.gap) || isNaN(settings.simplify) ||
+     minSize < 0 || settings.morphRadius < 1 || settings.gap < 0 || settings.simplify < 0) {
+    message_label.setValue('Cleanup options must be positive numbers (morphology radius at least 1 px)');
+    return null;
+  }
+  return settings;
+};
+
+
+/*
+  Description: Reads the export destination, format and raster options from the panel
+  Output: export settings object, or null (with a message in the panel) if an option isn't valid
+*/
+var getExportSettings = function() {
+  var settings = {
+    destination: destination_selection.getValue(),
+    path: exportPath_selection.getValue(),
+    format: format_selection.getValue(),
+    rasters: Raster_selection.getValue(),
+    rasterScale: parseFloat(rasterScale_selection.getValue()),
+    rasterCrs: rasterCrs_selection.getValue()
+  };
+  if(!settings.path) {
+    message_label.setValue('Enter an export folder, asset folder or bucket');
+    return null;
+  }
+  if(settings.rasters && (isNaN(settings.rasterScale) || settings.rasterScale <= 0 || 
+                          !/^EPSG:\d+$/.test(settings.rasterCrs))) {
+    message_label.setValue('Raster scale must be a positive number and CRS an EPSG code (e.g. EPSG:3978)');
+    return null;
+  }
+  return settings;
+};
+
+
+/*
+  Description: Reads the export tiling options from the panel
+  Output: tiling settings object, or null (with a message in the panel) if an option isn't valid
+*/
+var getTileSettings = function() {
+  var cellIds = tileIds_selection.getValue() || '';
+  var settings = {
+    crs: tileCrs_selection.getValue(),
+    tileSize: parseFloat(tileSize_selection.getValue()) * 1000,
+    cellIds: cellIds.split(',').map(function(id) {
+      return id.trim();
+    }).filter(function(id) {
+      return id !== '';
+    })
+  };
+  if(!/^EPSG:\d+$/.test(settings.crs) || isNaN(settings.tileSize) || settings.tileSize <= 0) {
+    message_label.setValue('Tiling needs an EPSG code (e.g. EPSG:3978) and a positive tile size');
+    return null;
+  }
+  return settings;
+};
+
+
+// map colours of the record status
+var recordStatusColors = {
+  'recorded': '1f78b4',
+  'partially recorded': 'ff7f00',
+  'unrecorded': 'e31a1c'
+};
+
+/*
+  Description: Reads the recorded perimeter options from the panel
+  Output: records settings object (null asset when the comparison is off), 
+          or null (with a message in the panel) if the options aren't valid
+*/
+var getRecordsSettings = function() {
+  var settings = {
+    asset: Records_selection.getValue() ? recordsAsset_selection.getValue() : null,
+    idProperty: recordsId_selection.getValue(),
+    yearProperty: recordsYear_selection.getValue()
+  };
+  if(Records_selection.getValue() && (!settings.asset || !settings.idProperty)) {
+    message_label.setValue('Enter the perimeter asset ID and its fire ID property');
+    return null;
+  }
+  return settings;
+};
+
+
+/*
+  Description: Counts the geometries drawn on the map (all drawing layers)
+  Output: number of drawn geometries
+*/
+var countDrawnGeometries = function() {
+  var count = 0;
+  Map.drawingTools().layers().forEach(function(layer) {
+    count += layer.geometries().length();
+  });
+  return count;
+};
+
+/*
+  Description: Removes every drawn geometry from the map (drawn ROIs are kept between runs otherwise)
+*/
+var clearDrawnGeometries = function() {
+  var layers = Map.drawingTools().layers();
+  while(layers.length() > 0) {
+    layers.remove(layers.get(0));
+  }
+};
+
+/*
+  Description: Lists the ecozone / ecoregion names of the region asset into the region dropdown
+*/
+var listRegions = function() {
+  var level = regionLevel_selection.getValue();
+  var property = regionProperty_selection.getValue();
+  var regions = ee.FeatureCollection(regionAsset_selection.getValue());
+  if(roiRegionSets[level].filter && regionAsset_selection.getValue() === roiRegionSets[level].asset) {
+    regions = regions.filter(roiRegionSets[level].filter);
+  }
+  regionName_selection.items().reset([]);
+  regionName_selection.setPlaceholder('listing ' + level + 's...');
+  regions.aggregate_array(property).distinct().sort().evaluate(function(names, error) {
+    regionName_selection.setPlaceholder('pick an ecozone / ecoregion');
+    if(error || !names || names.length === 0) {
+      message_label.setValue('Could not list ' + level + 's by ' + property + ': ' + (error || 'no features'));
+      return;
+    }
+    regionName_selection.items().reset(names.map(function(name) {
+      return {label: String(name), value: name};
+    }));
+  });
+};
+
+/*
+  Description: Reads the region of interest options from the panel
+  Output: ROI settings object {source, asset, geojson, property, name, filter},
+          or null (with a message in the panel) if the options aren't valid
+*/
+var getROISettings = function() {
+  var settings = {source: roiSource_selection.getValue()};
+  if(settings.source === 'draw' && countDrawnGeometries() === 0) {
+    message_label.setValue('Draw at least one rectangle or polygon (or pick another ROI source)');
+    return null;
+  }
+  if(settings.source === 'asset') {
+    settings.asset = roiAsset_selection.getValue();
+    if(!settings.asset) {
+      message_label.setValue('Enter the FeatureCollection asset ID of the ROI');
+      return null;
+    }
+  }
+  if(settings.source === 'geojson') {
+    try {
+      settings.geojson = JSON.parse(roiGeojson_selection.getValue());
+    } catch(e) {
+      message_label.setValue('ROI GeoJSON is not valid JSON: ' + e.message);
+      return null;
+    }
+    var geojsonError = pipeline.geoJSONError(settings.geojson);
+    if(geojsonError !== null) {
+      message_label.setValue('ROI GeoJSON: ' + geojsonError);
+      return null;
+    }
+  }
+  if(settings.source === 'region') {
+    var level = regionLevel_selection.getValue();
+    settings.asset = regionAsset_selection.getValue();
+    settings.property = regionProperty_selection.getValue();
+    settings.name = regionName_selection.getValue();
+    settings.filter = settings.asset === roiRegionSets[level].asset ? roiRegionSets[level].filter : null;
+    if(!settings.asset || !settings.property || settings.name === null || settings.name === undefined) {
+      message_label.setValue('List the ' + level + 's and pick one from the dropdown');
+      return null;
+    }
+  }
+  return settings;
+};
+
+/*
+  Description: Loads the region of interest of the panel options
+  Inputs: 
+    -settings: ROI settings (getROISettings)
+  Output: ROI FeatureCollection
+*/
+var loadROI = function(settings) {
+  if(settings.source === 'draw') {
+    // every drawn rectangle / polygon of every drawing layer
+    return Map.drawingTools().toFeatureCollection();
+  }
+  if(settings.source === 'asset') {
+    return ee.FeatureCollection(settings.asset);
+  }
+  if(settings.source === 'geojson') {
+    return pipeline.roiFromGeoJSON(settings.geojson);
+  }
+  if(settings.source === 'region') {
+    var regions = ee.FeatureCollection(settings.asset);
+    if(settings.filter) {
+      regions = regions.filter(settings.filter);
+    }
+    return regions.filter(ee.Filter.eq(settings.property, settings.name));
+  }
+  return ee.FeatureCollection(pipeline.defaultROIAsset);
+};
+
+
+/*
+  Description: Styles candidates tagged by matchRecordedFires for the map
+  Inputs: 
+    -vectors: polygons with record_status
+  Output: styled FeatureCollection image (blue recorded, orange partially recorded, red unrecorded)
+*/
+var styleRecordStatus = function(vectors) {
+  var styles = ee.Dictionary(Object.keys(recordStatusColors).reduce(function(dict, status) {
+    dict[status] = {color: recordStatusColors[status], fillColor: recordStatusColors[status] + '88', width: 1};
+    return dict;
+  }, {}));
+  return vectors.map(function(ft) {
+    return ft.set('style', styles.get(ft.get('record_status')));
+  }).style({styleProperty: 'style'});
+};
+
+/*
+  Description: Redraws the candidate layer of the last RUN using the current rule settings
+*/
+var redrawCandidates = function() {
+  if(lastRun === null) {
+    return;
+  }
+  message_label.setValue('');
+  var settings = getRuleSettings();
+  if(settings === null) {
+    return;
+  }
+  var rules = pipeline.applyRules(lastRun.predictedImage, lastRun.divIMG, lastRun.subIMG, lastRun.meanIMG, settings);
+  var agreeIMG = pipeline.ruleAgreement(rules).clip(lastRun.ROI);
+  var candidates = agreeIMG.select('agreement').gte(settings.k).selfMask();
+  lastRun.candidateLayer.setEeObject(candidates);
+  if(lastRun.agreementLayer) {
+    lastRun.agreementLayer.setEeObject(agreeIMG.select('agreement'));
+    lastRun.bitsLayer.setEeObject(agreeIMG.select('rule_bits'));
+  }
+};
+
+
+
+/*
+  Description: Reads the predictor variables ticked in the panel
+  Output: list of predictor names (subset of allVars)
+*/
+var getPredictorSelection = function() {
+  return allVars.filter(function(name) {
+    return predictor_checkboxes[name].getValue();
+  });
+};
+
+/*
+  Description: Finds predictors that are not columns of the training table
+  Inputs: 
+    -data: training FeatureCollection
+    -predictors: list of predictor names
+  Output: list of the missing predictor names (empty when all are present)
+*/
+var missingPredictors = function(data, predictors) {
+  var columns = data.first().propertyNames().getInfo();
+  return predictors.filter(function(name) {
+    return columns.indexOf(name) === -1;
+  });
+};
+
+
+
+
+/*
+  Description: Lists the saved models of the registry folder into the model dropdown
+*/
+var refreshModels = function() {
+  var registry = registry_selection.getValue();
+  ee.data.listAssets(registry, {}, function(result, error) {
+    if(error) {
+      message_label.setValue('Could not list saved models in ' + registry + ': ' + error);
+      return;
+    }
+    var items = [{label: 'train new model', value: 'new'}];
+    (result.assets || []).forEach(function(asset) {
+      var match = /\/rf__([^\/]+)__meta$/.exec(asset.id);
+      if(match !== null) {
+        items.push({label: match[1], value: asset.id.replace(/__meta$/, '')});
+      }
+    });
+    model_selection.items().reset(items);
+    model_selection.setValue('new');
+  });
+};
+
+/*
+  Description: Ticks the predictors of a saved model in the panel (a saved model fixes its predictors)
+  Inputs: 
+    -modelId: asset ID of the saved classifier, or 'new'
+*/
+var showModelPredictors = function(modelId) {
+  var savedModel = modelId !== 'new';
+  allVars.forEach(function(name) {
+    predictor_checkboxes[name].setDisabled(savedModel);
+  });
+  if(savedModel) {
+    ee.FeatureCollection(modelId + '__meta').first().get('predictors').evaluate(function(predictors) {
+      if(predictors) {
+        allVars.forEach(function(name) {
+          predictor_checkboxes[name].setValue(predictors.split(',').indexOf(name) !== -1);
+        });
+      }
+    });
+  }
+};
+
+
+
+/*
+  Description: Lists the export tasks queued by the batch mode in the panel
+  Inputs: 
+    -queued: list of task names (descriptions)
+    -startYear, endYear: year range of the batch
+    -target: ui.Panel the summary is drawn into
+*/
+var showBatchSummary = function(queued, startYear, endYear, target) {
+  target.clear();
+  target.add(ui.Label({
+    value: queued.length + ' export tasks queued for ' + startYear + ' - ' + endYear + 
+           ' (start them from the Tasks tab)',
+    style: {fontWeight: 'bold', backgroundColor:'FFFFFF'}
+  }));
+  target.add(ui.Label({
+    value: queued.join('\n'),
+    style: {whiteSpace: 'pre', fontSize: '11px', backgroundColor:'FFFFFF'}
+  }));
+};
+
+
+
+
+/*
+  Description: Shows the accuracy report as labels and charts
+  Inputs: 
+    -report: dictionary from assessClassifier
+    -target: ui.Panel the report is drawn into
+*/
+var showValidationReport = function(report, target) {
+  var classNames = ['unburnt (0)', 'burnt (1)'];
+  target.clear();
+  target.add(ui.Label('Computing RF accuracy report...'));
+  
+  report.evaluate(function(result, error) {
+    target.clear();
+    if(error) {
+      target.add(ui.Label('RF accuracy report failed: ' + error));
+      return;
+    }
+    target.add(ui.Label({
+      value: 'Overall accuracy: ' + result.accuracy.toFixed(3) + 
+             '   kappa: ' + result.kappa.toFixed(3) + 
+             '   test points: ' + result.testSize,
+      style: {fontWeight: 'bold'}
+    }));
+    
+    var matrixTable = [['actual / predicted'].concat(classNames)];
+    var classTable = [['class', 'precision', 'recall']];
+    classNames.forEach(function(name, i) {
+      matrixTable.push([name].concat(result.matrix[i]));
+      classTable.push([name, result.precision[0][i], result.recall[i][0]]);
+    });
+    target.add(ui.Chart(matrixTable, 'Table', {title: 'Confusion matrix'}));
+    target.add(ui.Chart(classTable, 'Table', {title: 'Per-class precision and recall'}));
+    
+    var importanceTable = [['variable', 'importance']];
+    Object.keys(result.importance).forEach(function(name) {
+      importanceTable.push([name, result.importance[name]]);
+    });
+    target.add(ui.Chart(importanceTable, 'ColumnChart', {
+      title: 'RF variable importance',
+      legend: {position: 'none'}
+    }));
+  });
+};
+
+
+
+/*
+  Description: Search window of the last RUN at a point: the panel dates, or in adaptive mode the
+               pixel's own MODIS snow-free season (getSnowFreeWindow) inside the outer bounds
+  Inputs: 
+    -point: point geometry
+    -callback: function(pointWindow), pointWindow is {start: 'MM-DD', end: 'MM-DD', startDoy, endDoy},
+               the day of year bounds are null outside of the adaptive mode (windowDates)
+*/
+var loadPointWindow = function(point, callback) {
+  var pointWindow = {start: lastRun.windowStart, end: lastRun.windowEnd, startDoy: null, endDoy: null};
+  if(lastRun.snowFree === null) {
+    callback(pointWindow);
+    return;
+  }
+  lastRun.snowFree.reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 500})
+    .evaluate(function(values, error) {
+      // no snow-free season at the pixel (or an error): the outer bounds
+      if(!error && values && values.start !== null && values.end !== null) {
+        pointWindow.startDoy = values.start;
+        pointWindow.endDoy = values.end;
+      }
+      callback(pointWindow);
+    });
+};
+
+/*
+  Description: Dates of a point's search window in one year
+  Inputs: 
+    -pointWindow: window from loadPointWindow
+    -year: year of the window
+  Output: [start, end] 'YYYY-MM-DD' dates, end excluded (as in filterDate)
+*/
+var windowDates = function(pointWindow, year) {
+  var start = new Date(year + '-' + pointWindow.start);
+  var end = new Date(year + '-' + pointWindow.end);
+  if(pointWindow.startDoy !== null) {
+    // maskSnowSeason keeps the days of year from start to end (included)
+    start = new Date(Math.max(start.getTime(), Date.UTC(year, 0, pointWindow.startDoy)));
+    end = new Date(Math.min(end.getTime(), Date.UTC(year, 0, pointWindow.endDoy + 1)));
+  }
+  return [start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)];
+};
+
+/*
+  Description: Time series chart of a pixel with the search windows drawn as vertical lines
+  Inputs: 
+    -region: getRegion output ([id, lon, lat, time, nbr, nbr2, tcg, tcb] rows after a header row)
+    -year: year of analysis
+    -pointWindow: search window at the pixel (loadPointWindow)
+  Output: ui.Chart line chart of NBR, NBR2, TCG and TCB
+*/
+var pixelSeriesChart = function(region, year, pointWindow) {
+  var cols = [
+    {id: 'date', label: 'date', type: 'date'},
+    {id: 'nbr', label: 'NBR', type: 'number'},
+    {id: 'window', type: 'string', role: 'annotation'},
+    {id: 'nbr2', label: 'NBR2', type: 'number'},
+    {id: 'tcg', label: 'TCG', type: 'number'},
+    {id: 'tcb', label: 'TCB', type: 'number'}
+  ];
+  var value = function(v) {
+    return {v: v === null || v === undefined ? null : v};
+  };
+  
+  var rows = region.slice(1).map(function(row) {
+    return {c: [{v: new Date(row[3])}, value(row[4]), {v: null}, value(row[5]), value(row[6]), value(row[7])]};
+  });
+  
+  // window bounds of the Tm3-Tm1 baselines (Tm1 = pre-fire), fire year (T0) and post-fire year (T+1)
+  [[-3, 'Tm3'], [-2, 'Tm2'], [-1, 'pre'], [0, 'T0'], [1, 'post']].forEach(function(window) {
+    var dates = windowDates(pointWindow, year + window[0]);
+    rows.push({c: [{v: new Date(dates[0])}, {v: null}, {v: window[1] + ' start'}, {v: null}, {v: null}, {v: null}]});
+    rows.push({c: [{v: new Date(dates[1])}, {v: null}, {v: window[1] + ' end'}, {v: null}, {v: null}, {v: null}]});
+  });
+  
+  // getRegion rows come sensor by sensor, the lines need them in time order
+  rows.sort(function(a, b) {
+    return a.c[0].v - b.c[0].v;
+  });
+  
+  return ui.Chart({cols: cols, rows: rows}, 'LineChart', {
+    title: 'Pixel time series (' + (year - 3) + ' - ' + (year + 1) + ')',
+    annotations: {style: 'line'},
+    interpolateNulls: true,
+    pointSize: 3,
+    lineWidth: 1,
+    hAxis: {title: 'date'},
+    vAxis: {title: 'index value'}
+  });
+};
+
+/*
+  Description: Map click handler: RF probability, rule values (pass/fail) and time series of a pixel
+  Inputs: 
+    -coords: clicked {lon, lat}
+*/
+var inspectPixel = function(coords) {
+  if(lastRun === null) {
+    return;
+  }
+  var settings = getRuleSettings();
+  if(settings === null) {
+    return;
+  }
+  var point = ee.Geometry.Point([coords.lon, coords.lat]);
+  lastRun.inspectPoint = point;
+  
+  inspect_panel.clear();
+  inspect_panel.add(ui.Button({label: 'close inspector', onClick: function() { inspect_panel.clear(); }}));
+  inspect_panel.add(ui.Label({
+    value: 'Pixel at ' + coords.lon.toFixed(4) + ', ' + coords.lat.toFixed(4) + ' (' + lastRun.year + ')',
+    style: {fontWeight: 'bold', backgroundColor:'FFFFFF'}
+  }));
+  var rules_label = ui.Label({value: 'Computing rule values...', style: {whiteSpace: 'pre', backgroundColor:'FFFFFF'}});
+  inspect_panel.add(rules_label);
+  
+  // values tested by the four rules
+  var ruleValues = lastRun.predictedImage.rename('rf_prob')
+                     .addBands(lastRun.divIMG.select([settings.devBand], ['dev']))
+                     .addBands(lastRun.subIMG.select([settings.subBand], ['sub']))
+                     .addBands(lastRun.meanIMG.select([settings.mnBand], ['mn']))
+                     .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 30});
+  ruleValues.evaluate(function(values, error) {
+    if(error) {
+      rules_label.setValue('Could not read the rule values: ' + error);
+      return;
+    }
+    var ruleLine = function(name, value, test, threshold, passed) {
+      if(value === null || value === undefined) {
+        return name + ': no data';
+      }
+      return name + ': ' + value.toFixed(3) + ' ' + test + ' ' + threshold + '  ' + (passed ? 'PASS' : 'FAIL');
+    };
+    var lines = [
+      ruleLine('RF probability', values.rf_prob, '>', settings.rfThresh, values.rf_prob > settings.rfThresh),
+      ruleLine('divIMG ' + settings.devBand, values.dev, '<', settings.devThresh, values.dev < settings.devThresh),
+      ruleLine('subIMG ' + settings.subBand, values.sub, '<', settings.subThresh, values.sub < settings.subThresh),
+      ruleLine('meanIMG ' + settings.mnBand, values.mn, '<', settings.mnThresh, values.mn < settings.mnThresh)
+    ];
+    var passed = lines.filter(function(line) {
+      return / PASS$/.test(line);
+    }).length;
+    rules_label.setValue(lines.join('\n') + '\n' + passed + ' of 4 rules passed (k = ' + settings.k + ')');
+  });
+  
+  // NBR, NBR2, TCG and TCB of every clear observation from Tm3 to the post-fire year
+  var series = lastRun.imgCol.filterBounds(point)
+                 .filterDate((lastRun.year - 3) + '-01-01', (lastRun.year + 2) + '-01-01')
+                 .select(['nbr', 'nbr2', 'tcg', 'tcb']);
+  var chart_panel = ui.Panel({widgets: [ui.Label('Loading time series...')], style: {backgroundColor:'FFFFFF'}});
+  inspect_panel.add(chart_panel);
+  loadPointWindow(point, function(pointWindow) {
+    series.getRegion(point, 30).evaluate(function(region, error) {
+      chart_panel.clear();
+      if(error) {
+        chart_panel.add(ui.Label('Could not load the time series: ' + error));
+        return;
+      }
+      chart_panel.add(pixelSeriesChart(region, lastRun.year, pointWindow));
+    });
+  });
+};
+
+
+
+// false colour composite of the scene browser
+var sceneVis = {bands: ['sswir', 'nir', 'red'], min: 0, max: 0.4};
+
+/*
+  Description: Map of the scene browser with its own year, date and cloud cover controls
+  Inputs: 
+    -point: location the scenes are filtered to
+    -yearOffset: year shown first (-1 = T-1, 0 = T0, 1 = T+1)
+    -pointWindow: search window at the point (loadPointWindow)
+  Output: ui.Map showing one false colour (SWIR/NIR/red) scene at a time
+*/
+var sceneMap = function(point, yearOffset, pointWindow) {
+  var map = ui.Map();
+  map.setControlVisibility({layerList: false, mapTypeControl: false});
+  map.centerObject(point, 11);
+  
+  var scenes = [];
+  var year_select = ui.Select({
+    items: [-1, 0, 1].map(function(offset) {
+      return {label: ['T-1', 'T0', 'T+1'][offset + 1] + ' (' + (lastRun.year + offset) + ')', value: String(offset)};
+    }),
+    value: String(yearOffset),
+    onChange: function(value) {
+      loadScenes(parseInt(value, 10));
+    }
+  });
+  var date_select = ui.Select({
+    placeholder: 'loading scenes...',
+    onChange: function(value) {
+      showScene(parseInt(value, 10));
+    }
+  });
+  var cloud_label = ui.Label('');
+  var step = function(direction) {
+    var current = parseInt(date_select.getValue(), 10);
+    var next = current + direction;
+    if(!isNaN(current) && next >= 0 && next < scenes.length) {
+      date_select.setValue(String(next));
+    }
+  };
+  
+  var showScene = function(i) {
+    var scene = scenes[i];
+    var image = lastRun.sceneCol.filter(ee.Filter.eq('LANDSAT_PRODUCT_ID', scene.id)).first();
+    map.layers().reset([
+      ui.Map.Layer(ee.Image(image), sceneVis, scene.date),
+      ui.Map.Layer(point, {color: 'FFFF00'}, 'point')
+    ]);
+    cloud_label.setValue(scene.id.slice(0, 4) + '  cloud cover: ' + scene.cloud + '%');
+  };
+  
+  // scenes of the search window of one year, in date order
+  var loadScenes = function(offset) {
+    var windowYear = lastRun.year + offset;
+    var dates = windowDates(pointWindow, windowYear);
+    var yearScenes = lastRun.sceneCol.filterBounds(point)
+                       .filterDate(dates[0], dates[1])
+                       .sort('system:time_start');
+    date_select.items().reset([]);
+    date_select.setPlaceholder('loading scenes...');
+    ee.Dictionary({
+      ids: yearScenes.aggregate_array('LANDSAT_PRODUCT_ID'),
+      times: yearScenes.aggregate_array('system:time_start'),
+      clouds: yearScenes.aggregate_array('CLOUD_COVER')
+    }).evaluate(function(result, error) {
+      if(error || result.ids.length === 0) {
+        date_select.setPlaceholder(error ? 'could not load scenes' : 'no scenes in ' + windowYear);
+        map.layers().reset([ui.Map.Layer(point, {color: 'FFFF00'}, 'point')]);
+        cloud_label.setValue('');
+        return;
+      }
+      scenes = result.ids.map(function(id, i) {
+        return {id: id, date: new Date(result.times[i]).toISOString().slice(0, 10), cloud: result.clouds[i]};
+      });
+      date_select.items().reset(scenes.map(function(scene, i) {
+        return {label: scene.date + ' (' + scene.cloud + '% cloud)', value: String(i)};
+      }));
+      date_select.setValue('0');
+    });
+  };
+  
+  map.add(ui.Panel({
+    widgets: [
+      year_select,
+      ui.Panel([
+        ui.Button({label: '<', onClick: function() { step(-1); }}),
+        date_select,
+        ui.Button({label: '>', onClick: function() { step(1); }})
+      ], ui.Panel.Layout.flow('horizontal')),
+      cloud_label
+    ],
+    style: {position: 'top-left'}
+  }));
+  loadScenes(yearOffset);
+  return map;
+};
+
+/*
+  Description: Replaces the main map with linked scene maps of the year before, of and after the fire
+               (at the last inspected pixel, or the map centre)
+*/
+var openSceneBrowser = function() {
+  if(lastRun === null) {
+    return;
+  }
+  var point = lastRun.inspectPoint || Map.getCenter();
+  
+  // scenes are listed for the search window of the point (its own snow-free season in adaptive mode)
+  loadPointWindow(point, function(pointWindow) {
+    if(sceneView_selection.getValue() === 'swipe') {
+      var maps = [sceneMap(point, -1, pointWindow), sceneMap(point, 1, pointWindow)];
+      var browser = ui.SplitPanel({firstPanel: maps[0], secondPanel: maps[1], wipe: true, style: {stretch: 'both'}});
+    }
+    else {
+      var maps = [sceneMap(point, -1, pointWindow), sceneMap(point, 0, pointWindow), sceneMap(point, 1, pointWindow)];
+      var browser = ui.Panel({widgets: maps, layout: ui.Panel.Layout.flow('horizontal'), style: {stretch: 'both'}});
+      maps.forEach(function(map) {
+        map.style().set('stretch', 'both');
+      });
+    }
+    ui.Map.Linker(maps);
+    
+    maps[0].add(ui.Button({
+      label: 'close scene browser',
+      style: {position: 'bottom-left'},
+      onClick: function() {
+        ui.root.widgets().set(1, Map);
+      }
+    }));
+    ui.root.widgets().set(1, browser);
+  });
+};
+
+
 
-var Download_selection = ui.Checkbox({
-  label: 'Check to export vectors',  
-  value: false,
-  style: {color: '000000', backgroundColor:'FFFFFF', fontWeight:'bold'},
-  onChange: function(value) {
-    var Download_selection = value;
+var reviewLabels = ['fire', 'not fire', 'uncertain'];
+var reviewColors = {'fire': 'FF0000', 'not fire': '0000FF', 'uncertain': 'FFA500'};
+
+/*
+  Description: Loads the candidates to review, either an exported FeatureCollection or the vectorized
+               candidates of the last RUN, and resumes from any review_* properties already on it
+*/
+var startReview = function() {
+  message_label.setValue('');
+  var reviewer = reviewer_selection.getValue();
+  if(!reviewer) {
+    message_label.setValue('Enter a reviewer name');
+    return;
   }
-});
+  
+  var assetId = reviewAsset_selection.getValue();
+  if(assetId) {
+    var collection = ee.FeatureCollection(assetId);
+  }
+  else if(lastRun !== null) {
+    var settings = getRuleSettings();
+    var cleanup = getCleanupSettings(lastRun.scale);
+    if(settings === null || cleanup === null) {
+      return;
+    }
+    var rules = pipeline.applyRules(lastRun.predictedImage, lastRun.divIMG, lastRun.subIMG, lastRun.meanIMG, settings);
+    var candidates = pipeline.candidateMask(rules, settings.k);
+    var collection = pipeline.vectorizeCandidates(candidates, lastRun.ROI.geometry(), lastRun.scale, cleanup)
+                       .map(function(feature) {
+                         return feature.set('year', lastRun.year);
+                       });
+  }
+  else {
+    message_label.setValue('Enter a candidate asset ID or RUN a year first');
+    return;
+  }
+  
+  // stable ID of every polygon, kept through the labelled export
+  collection = collection.map(function(feature) {
+    return feature.set('review_id', ee.String(ee.Algorithms.If(feature.get('review_id'), 
+                                                               feature.get('review_id'), feature.id())));
+  });
+  var reviewed = collection.filter(ee.Filter.inList('review_label', reviewLabels));
+  
+  review_panel.clear();
+  review_panel.add(ui.Label('loading candidates...'));
+  ee.Dictionary({
+    ids: collection.aggregate_array('review_id'),
+    labels: reviewed.reduceColumns(ee.Reducer.toList(5), 
+                                   ['review_id', 'review_label', 'review_comment', 'reviewer', 'review_time'])
+                    .get('list')
+  }).evaluate(function(result, error) {
+    review_panel.clear();
+    if(error) {
+      message_label.setValue('Could not load the candidates: ' + error);
+      return;
+    }
+    if(result.ids.length === 0) {
+      message_label.setValue('No candidate polygons to review');
+      return;
+    }
+    var labels = {};
+    result.labels.forEach(function(row) {
+      labels[row[0]] = {review_label: row[1], review_comment: row[2] || '', reviewer: row[3] || '', review_time: row[4] || ''};
+    });
+    
+    review = {
+      collection: collection,
+      ids: result.ids,
+      labels: labels,
+      reviewer: reviewer,
+      layer: Map.addLayer(ee.FeatureCollection([]), {}, 'review candidate', true)
+    };
+    showReviewPanel();
+    showCandidate(nextUnreviewed(0));
+  });
+};
 
+/*
+  Description: Index of the first polygon without a label, from a given index (wraps around)
+  Inputs:
+    -start: index to start searching from
+  Output: index of the polygon (start if all are labelled)
+*/
+var nextUnreviewed = function(start) {
+  for(var i = 0; i < review.ids.length; i++) {
+    var index = (start + i) % review.ids.length;
+    if(!review.labels[review.ids[index]]) {
+      return index;
+    }
+  }
+  return start;
+};
 
-var blankBig = ui.Label({value:'__________________', style:{color: 'FFFFFF', backgroundColor:'FFFFFF', fontSize: '20px', textAlign: 'left'}});
+/*
+  Description: Builds the review controls (navigation, labels, comment and export)
+*/
+var showReviewPanel = function() {
+  review.position_label = ui.Label('');
+  review.label_label = ui.Label('');
+  review.comment = ui.Textbox({
+    placeholder: 'comment',
+    style: {width: '380px', color: '000000', backgroundColor:'FFFFFF'}
+  });
+  
+  var labelButtons = reviewLabels.map(function(label) {
+    return ui.Button({
+      label: label,
+      style: {color: reviewColors[label]},
+      onClick: function() {
+        review.labels[review.ids[review.index]] = {
+          review_label: label,
+          review_comment: review.comment.getValue() || '',
+          reviewer: review.reviewer,
+          review_time: new Date().toISOString()
+        };
+        showCandidate(nextUnreviewed(review.index));
+      }
+    });
+  });
+  
+  review_panel.add(review.position_label);
+  review_panel.add(ui.Panel([
+    ui.Button({label: '<', onClick: function() { showCandidate(Math.max(review.index - 1, 0)); }}),
+    ui.Button({label: '>', onClick: function() { showCandidate(Math.min(review.index + 1, review.ids.length - 1)); }}),
+    ui.Button({label: 'next unreviewed', onClick: function() { showCandidate(nextUnreviewed(review.index + 1)); }})
+  ], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}));
+  review_panel.add(ui.Panel(labelButtons, ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}));
+  review_panel.add(review.comment);
+  review_panel.add(review.label_label);
+  review_panel.add(ui.Panel([
+    ui.Button({label: 'Export labelled set', onClick: exportReview}),
+    ui.Button({label: 'close review', onClick: function() {
+      Map.layers().remove(review.layer);
+      review_panel.clear();
+      review = null;
+    }})
+  ], ui.Panel.Layout.flow('horizontal'), {backgroundColor:'FFFFFF'}));
+};
 
+/*
+  Description: Zooms to one candidate polygon and shows its current label
+  Inputs:
+    -index: position of the polygon in the review list
+*/
+var showCandidate = function(index) {
+  review.index = index;
+  var id = review.ids[index];
+  var label = review.labels[id];
+  var feature = review.collection.filter(ee.Filter.eq('review_id', id));
+  
+  review.layer.setEeObject(feature.style({color: label ? reviewColors[label.review_label] : 'FFFF00', 
+                                          fillColor: '00000000', width: 2}));
+  Map.centerObject(feature, 13);
+  
+  var done = Object.keys(review.labels).length;
+  review.position_label.setValue('candidate ' + (index + 1) + ' / ' + review.ids.length + 
+                                 '  (' + done + ' reviewed)  ID: ' + id);
+  review.label_label.setValue(label ? 'labelled ' + label.review_label + ' by ' + label.reviewer + 
+                                      ' (' + label.review_time + ')' : 'not reviewed');
+  review.comment.setValue(label ? label.review_comment : '');
+};
 
-panel.add(label_year_selection);
-panel.add(year_selection);
-panel.add(blankBig);
-panel.add(Download_selection);
-panel.add(ROI_selection);
-panel.add(runButton);
+/*
+  Description: Exports every candidate with its review_label, review_comment, reviewer and review_time
+               (empty if not reviewed yet) to the export destination, and always as an asset
+               to the review folder, load that asset in review mode to resume
+*/
+var exportReview = function() {
+  var exportSettings = getExportSettings();
+  if(exportSettings === null) {
+    return;
+  }
+  // DBF field names are cut to 10 characters (review_comment, review_label, review_time)
+  if(exportSettings.destination !== 'asset' && exportSettings.format === 'SHP') {
+    message_label.setValue('SHP cuts the review property names, export the labelled set in another format');
+    return;
+  }
+  var folder = reviewFolder_selection.getValue();
+  if(!folder) {
+    message_label.setValue('Enter an asset folder for the resumable review copy');
+    return;
+  }
+  var unlabelled = ee.Dictionary({review_label: '', review_comment: '', reviewer: '', review_time: ''});
+  var labels = ee.Dictionary(review.labels);
+  var labelled = review.collection.map(function(feature) {
+    return feature.set(ee.Dictionary(labels.get(feature.get('review_id'), unlabelled)));
+  });
+  
+  var stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '');
+  var description = 'reviewedCandidates__' + review.reviewer.replace(/[^A-Za-z0-9_-]/g, '') + '__' + stamp;
+  var resumeAsset = folder + '/' + description;
+  pipeline.exportTable(labelled, description, {destination: 'asset', path: folder});
+  if(exportSettings.destination !== 'asset' || exportSettings.path !== folder) {
+    pipeline.exportTable(labelled, description, exportSettings);
+  }
+  message_label.setValue('Queued ' + description + ' in the Tasks tab\n' +
+                         '(load ' + resumeAsset + ' in review mode to resume the review)');
+};
 
-ui.root.insert(0,panel);
-// ------------------------------------------------------------------------------------------------------------------
-// end  User interface (panel left)
 
 
+/*
+  Description: Map click of the last RUN, labels a training point or inspects the pixel
+  Inputs:
+    -coords: {lon, lat} of the click
+*/
+var mapClick = function(coords) {
+  if(LabelPoints_selection.getValue() === true) {
+    addTrainingPoint(coords);
+  }
+  else {
+    inspectPixel(coords);
+  }
+};
 
+/*
+  Description: Redraws the labelled points (red burnt, green unburnt) and their count
+*/
+var showTrainingPoints = function() {
+  var burnt = trainingPoints.filter(function(point) {
+    return point.burnt === 1;
+  }).length;
+  trainingPoints_label.setValue(trainingPoints.length + ' points labelled (' + burnt + ' burnt, ' + 
+                                (trainingPoints.length - burnt) + ' unburnt)');
+  
+  var display = ee.FeatureCollection(trainingPoints.map(function(point) {
+    return ee.Feature(point.feature.geometry(), {style: {color: point.burnt === 1 ? 'FF0000' : '00FF00', pointSize: 5}});
+  }));
+  if(trainingLayer === null || Map.layers().indexOf(trainingLayer) === -1) {
+    trainingLayer = Map.addLayer(ee.FeatureCollection([]), {}, 'training points', true);
+  }
+  trainingLayer.setEeObject(display.style({styleProperty: 'style'}));
+};
 
-/*******************************************************************************
-* Functions *
-*
-* A section to define functions used on your data later and needed in the app.
-*
-******************************************************************************/
+/*
+  Description: Samples the differenced indices of the last RUN (every allVars band, water masked) under
+               a clicked point and adds it to the labelled points
+  Inputs:
+    -coords: {lon, lat} of the click
+*/
+var addTrainingPoint = function(coords) {
+  if(lastRun === null) {
+    message_label.setValue('RUN a year of analysis before adding training points');
+    return;
+  }
+  var burnt = parseInt(pointClass_selection.getValue(), 10);
+  var point = ee.Geometry.Point([coords.lon, coords.lat]);
+  var sample = lastRun.trainingIMG.reduceRegion({
+    reducer: ee.Reducer.first(),
+    geometry: point,
+    scale: 30
+  });
+  var feature = ee.Feature(point, sample).set({BURNT: burnt, YEAR: lastRun.year, source: 'app'});
+  
+  sample.evaluate(function(values, error) {
+    if(error || values[allVars[0]] === null || values[allVars[0]] === undefined) {
+      message_label.setValue('No indices under this point (masked water or no clear observations), not added');
+      return;
+    }
+    message_label.setValue('');
+    trainingPoints.push({feature: feature, burnt: burnt});
+    showTrainingPoints();
+  });
+};
 
 /*
-  Description: Calculate Enhanced Vegetation Index
-  Formula Link: https://www.sciencedirect.com/science/article/pii/S0034425702000962 (Equation 2)
-  Inputs: 
-    -img: landsat img
-    -nir: near infrared band name
-    -red: red band name
-    -blue: blue band name
-  Output: image with EVI calculated band
-*/
-var getEVI = function(img) {
-  var result = img.expression(
-    '(2.5 * ((NIR - RED) / (NIR + (6 * RED) - (7.5 * BLUE) + 1)))',
-    {
-      'NIR': img.select('nir'),
-      'RED': img.select('red'),
-      'BLUE': img.select('blue')
-    }).toFloat();
-    return ee.Image(result).select([0], ['evi']);
-};
-
-/*
-  Description: Calculate Mid-Infrared Burn Index
-  Formula Link: https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)
-  Inputs: 
-    -img: landsat img
-    -sswir: (shorter) shortwave infrared 1 (SWIR1)
-    -lswir: (longer) shortwave infrared 2 (SWIR2)
-  Output: image with MIRBI calculated band
+  Description: Removes labelled points from a given position to the end of the list
+  Inputs:
+    -start: position of the first point to remove
 */
-var getMIRBI = function(img) {
-  var result = img.expression(
-    '((10 * lSWIR) - (9.8 * sSWIR) + 2)',
-    {
-      'lSWIR': img.select('lswir'),
-      'sSWIR': img.select('sswir')
-    }).toFloat();
-    return ee.Image(result).select([0], ['mirbi']);
+var removeTrainingPoints = function(start) {
+  trainingPoints = trainingPoints.slice(0, Math.max(start, 0));
+  if(trainingLayer !== null) {
+    showTrainingPoints();
+  }
 };
 
 /*
-  Description: Calculate Burned Area Index
-  Formula Link: https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)
-  Inputs: 
-    -img: landsat img
-    -nir: near infrared band name
-    -red: red band name
-  Output: image with BAI calculated band
+  Description: Shows which training table new models are trained on
 */
-var getBAI = function(img) {
-  var result = img.expression(
-    '1/((0.1 - RED)**2 + (0.06 - NIR)**2)',
-    {
-      'RED': img.select('red'),
-      'NIR': img.select('nir')
-    }).toFloat();
-    return ee.Image(result).select([0], ['bai']);
+var showTrainingSource = function() {
+  trainingSource_label.setValue(mergedTraining === null ? 'training data: default table' :
+    'training data: ' + mergedTraining.assetId + ' (merged in this session, export queued in the Tasks tab)');
 };
 
 /*
-  Description: Calculate Burned Area Index
-  Formula Link: https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)
-  Inputs: 
-    -img: landsat img
-    -nir: near infrared band name
-    -sswir: (shorter) shortwave infrared 1 (SWIR1)
-  Output: image with BAIMs calculated band
+  Description: Goes back to the default training table for the next RUN
 */
-var getBAIMs = function(img) {
-  var result = img.expression(
-    '1/((NIR - 0.05 * NIR)**2 + (sSWIR - 0.2 * sSWIR)**2)',
-    {
-      'NIR': img.select('nir'),
-      'sSWIR': img.select('sswir')
-    }).toFloat();
-    return ee.Image(result).select([0], ['baims']);
+var useDefaultTraining = function() {
+  mergedTraining = null;
+  showTrainingSource();
+  message_label.setValue('The next RUN trains on the default training table');
 };
 
 /*
-  Description: Calculate Char Soil Index
-  Formula Link: https://www.publish.csiro.au/wf/WF17069 (Table 2)
-  Inputs: 
-    -img: landsat img
-    -nir: near infrared band name
-    -sswir: (shorter) shortwave infrared 1 (SWIR1)
-  Output: image with CSI calculated band
+  Description: Retrains the model of the last RUN on the merged training table and redraws its
+               RF prediction and candidate layers (the labelled points and other layers stay on the map)
 */
-var getCSI = function(img) {
-  var result = img.expression(
-    'NIR / sSWIR',
-    {
-      'NIR': img.select('nir'),
-      'sSWIR': img.select('sswir')
-    }).toFloat();
-    return ee.Image(result).select([0], ['csi']);
+var retrainLastRun = function() {
+  var classifier = pipeline.trainClassifier(mergedTraining.collection, lastRun.predictors, lastRun.rfParams);
+  // trainingIMG carries the differenced indices under the column names, predictBurnProbability selects them in lower case
+  var deltas = lastRun.trainingIMG.rename(lastRun.trainingIMG.bandNames().map(function(name) {
+    return ee.String(name).toLowerCase();
+  }));
+  lastRun.predictedImage = pipeline.predictBurnProbability(deltas, classifier, lastRun.predictors, lastRun.masks);
+  lastRun.predictionLayer.setEeObject(lastRun.predictedImage);
+  lastRun.trainingAsset = mergedTraining.assetId;
+  lastRun.trainingData = mergedTraining.collection;
+  redrawCandidates();
 };
 
 /*
-  Description: Calculate Bare Soil Index
-  Formula Link: https://www.mdpi.com/2073-445X/10/3/231 (Table 1)
-  Inputs: 
-    -img: landsat img
-    -red: red band name
-    -sswir: (shorter) shortwave infrared 1 (SWIR1)
-    -blue: blue band name
-    -nir near infrared band name
-  Output: image with BSI calculated band
-*/
-var getBSI = function(img) {
-  var result = img.expression(
-    '((RED + sSWIR) - (NIR + BLUE)) / ((RED + sSWIR) + (NIR + BLUE))',
-    {
-      'RED': img.select('red'),
-      'sSWIR': img.select('sswir'),
-      'BLUE': img.select('blue'),
-      'NIR': img.select('nir')
-    }).toFloat();
-    return ee.Image(result).select([0], ['bsi']);
-};
-
-/*
-  Description: Calculate Modified Soil Adjusted Vegetation Index
-  Formula Link: https://www.sciencedirect.com/science/article/pii/0034425794901341 (Equation 19)
-  Inputs: 
-    -img: landsat img
-    -nir: near infrared band name
-    -red: red band name
-  Output: image with MSAVI calculated band
+  Description: Merges the labelled points with the training table of the last RUN, exports the merged table
+               as the next version (<table>__v<N>) of that table and retrains the last RUN on it
+               (the merged points are used from memory, the asset only exists once its task has completed)
 */
-var getMSAVI = function(img) {
-  var result = img.expression(
-    '(2 * NIR + 1 - sqrt((2 * NIR + 1) ** 2 - 8 * (NIR - RED))) / 2',
-    {
-      'NIR': img.select('nir'),
-      'RED': img.select('red')
-    }).toFloat();
-    return ee.Image(result).select([0], ['msavi']);
+var mergeTrainingPoints = function() {
+  if(lastRun === null || trainingPoints.length === 0) {
+    message_label.setValue('Label some points on a RUN first');
+    return;
+  }
+  var folder = trainingFolder_selection.getValue();
+  var table = lastRun.trainingAsset.split('/').pop().replace(/__v\d+$/, '');
+  
+  ee.data.listAssets(folder, {}, function(result, error) {
+    if(error) {
+      message_label.setValue('Could not list ' + folder + ': ' + error);
+      return;
+    }
+    // next free version of the table in the folder (including a merged version still being exported)
+    var version = 1;
+    (result.assets || []).concat(mergedTraining === null ? [] : [{id: mergedTraining.assetId}]).forEach(function(asset) {
+      var match = new RegExp('/' + table + '__v(\\d+)$').exec(asset.id);
+      if(match !== null) {
+        version = Math.max(version, parseInt(match[1], 10) + 1);
+      }
+    });
+    var assetId = folder + '/' + table + '__v' + version;
+    var merged = lastRun.trainingData.merge(ee.FeatureCollection(trainingPoints.map(function(point) {
+      return point.feature;
+    })));
+    
+    Export.table.toAsset({
+      collection: merged,
+      description: table + '__v' + version,
+      assetId: assetId
+    });
+    var added = trainingPoints.length;
+    mergedTraining = {assetId: assetId, collection: merged};
+    trainingPoints = [];
+    showTrainingPoints();
+    showTrainingSource();
+    
+    // retrain on the merged table, new models of the next RUNs too (saved models keep their own training data)
+    model_selection.setValue('new');
+    retrainLastRun();
+    message_label.setValue('Merged ' + added + ' points and retrained, ' + assetId + ' is queued in the Tasks tab');
+  });
 };
 
-// - links to different papers tasselled cap greeness/wetness/brightness coeffcients 
-// - currently using paper 3
 
-// 1. https://www.researchgate.net/publication/237614492_Derivation_of_a_Tasseled_Cap_Transformation_Based_On_Landsat_7_At-Satellite_Reflectance
-// 2. https://yceo.yale.edu/tasseled-cap-transform-landsat-8-oli
-// 3. https://journals.plos.org/plosone/article?id=10.1371/journal.pone.0147121#pone.0147121.s001
 
-// I'm using all Crist & Cicone '84
-// NOTE ALL SENSORS RECEIVED THE SAME COEFS (I.E. NOT SENSOR SPECIFIC)
 
 /*
-  Description: Calculate Tasselled Cap Indices
+  Description: Adds a custom index to the pipeline registry, the predictor checkboxes and the rule band dropdowns
   Inputs: 
-    -img: landsat img
-    -blue: blue band name
-    -green: green band name
-    -red: red band name
-    -nir: near infrared band name
-    -sswir: (shorter) shortwave infrared 1 (SWIR1)
-    -lswir: (longer) shortwave infrared 2 (SWIR2)
-  Output: image with Tasselled Cap Brightness calculated band
-*/
-var getTCB = function(img) {
-  var result = img.expression(
-    '0.3037 * BLUE + 0.2793 * GREEN + 0.4743 * RED + 0.5585 * NIR + 0.5082 * sSWIR + 0.1863 * lSWIR',
-    {
-      'BLUE': img.select('blue'),
-      'GREEN': img.select('green'),
-      'RED': img.select('red'),
-      'NIR': img.select('nir'),
-      'sSWIR': img.select('sswir'),
-      'lSWIR': img.select('lswir'),
-    }).toFloat();
-    return ee.Image(result).select([0], ['tcb']);
-};
-
-
-var getTCG = function(img) {
-  var result = img.expression(
-    '-0.2848 * BLUE - 0.2435 * GREEN - 0.5436 * RED + 0.7243 * NIR + 0.0840 * sSWIR - 0.1800 * lSWIR',
-    {
-      'BLUE': img.select('blue'),
-      'GREEN': img.select('green'),
-      'RED': img.select('red'),
-      'NIR': img.select('nir'),
-      'sSWIR': img.select('sswir'),
-      'lSWIR': img.select('lswir'),
-    }).toFloat();
-    return ee.Image(result).select([0], ['tcg']);
-};
-
-var getTCW = function(img) {
-  var result = img.expression(
-    '0.1509 * BLUE + 0.1973 * GREEN + 0.3279 * RED + 0.3406 * NIR - 0.7112 * sSWIR - 0.4572 * lSWIR',
-    {
-      'BLUE': img.select('blue'),
-      'GREEN': img.select('green'),
-      'RED': img.select('red'),
-      'NIR': img.select('nir'),
-      'sSWIR': img.select('sswir'),
-      'lSWIR': img.select('lswir'),
-    }).toFloat();
-    return ee.Image(result).select([0], ['tcw']);
+    -name: index name (lower case letters and digits)
+    -formula: expression over the reflectance bands (blue, green, red, nir, sswir, lswir)
+    -deltaScale: scale factor of the differenced index
+    -relative: true to also generate the RBR / RdNBR style relative forms
+  Output: error message, or null when the index was registered
+*/
+var registerIndex = function(name, formula, deltaScale, relative) {
+  var known = allVars.length;
+  var error = pipeline.registerIndex(name, formula, deltaScale, relative);
+  if(error !== null) {
+    return error;
+  }
+  
+  // differenced (and relative) predictors of the new index
+  allVars.slice(known).forEach(function(predictor) {
+    predictor_checkboxes[predictor] = ui.Checkbox({
+      label: predictor,
+      value: false,
+      style: {color: '000000', backgroundColor:'FFFFFF', width: '80px'}
+    });
+    predictor_panel.add(predictor_checkboxes[predictor]);
+  });
+  [devBand_selection, subBand_selection, mnBand_selection].forEach(function(select) {
+    select.items().add(name);
+  });
+  return null;
 };
 
 
@@ -330,63 +2044,185 @@ var getTCW = function(img) {
 *
 ********************************************************************************/
 
-runButton.onClick( function() {
+var runApp = function() {
   
   ui.util.clear(); // clears errors or downloads in console/task (doesn't work)
   Map.clear();
   Map.setOptions('TERRAIN'); // TERRAIN, SATELLITE
-  var ROI_select = ROI_selection.getValue();
+  message_label.setValue('');
+  summary_panel.clear();
+  inspect_panel.clear();
+  sceneButton.setDisabled(true);
+  report_panel.clear();
+  lastRun = null;
+  var roiSettings = getROISettings();
+  if(roiSettings === null) {
+    return;
+  }
+  // drawn ROIs are exported as one cell, the other ROIs in tiles
+  var drawnROI = roiSettings.source === 'draw';
   var Export_select = Download_selection.getValue();
+  var Agreement_select = Agreement_selection.getValue();
+  var Validation_select = Validation_selection.getValue();
+  var Batch_select = Batch_selection.getValue();
+  var stitchTiles_select = StitchTiles_selection.getValue() && drawnROI === false;
+  var batchStart = parseInt(batchStart_selection.getValue(), 10);
+  var batchEnd = parseInt(batchEnd_selection.getValue(), 10);
+  var Adaptive_select = Snowfree_selection.getValue();
+  var LegacyTC_select = LegacyTC_selection.getValue();
+  var Harmonization_select = harmonization_selection.getValue();
+  var S2_select = S2_selection.getValue();
+  var S2Mask_select = s2Mask_selection.getValue();
+  var windowStart = windowStart_selection.getValue();
+  var windowEnd = windowEnd_selection.getValue();
+  
+  if(Adaptive_select === false) {
+    if(!pipeline.isMonthDay(windowStart) || !pipeline.isMonthDay(windowEnd) || windowStart >= windowEnd) {
+      message_label.setValue('Search window must be two MM-DD dates with start before end');
+      return;
+    }
+  }
+  else if(Adaptive_select === true) {
+    windowStart = pipeline.adaptiveStart;
+    windowEnd = pipeline.adaptiveEnd;
+  }
+  
+  if(Batch_select === true) {
+    if(isNaN(batchStart) || isNaN(batchEnd) || batchStart < 1985 || batchEnd > 2023 || batchStart > batchEnd) {
+      message_label.setValue('Batch years must be between 1985 and 2023 with from <= to');
+      return;
+    }
+  }
+  
+  var ruleSettings = getRuleSettings();
+  if(ruleSettings === null) {
+    return;
+  }
+  
+  var Res = pipeline.defaultScale;      // pixel size (meters) of output
+  var cleanupSettings = getCleanupSettings(Res);
+  if(cleanupSettings === null) {
+    return;
+  }
+  
+  var exportSettings = getExportSettings();
+  if(exportSettings === null) {
+    return;
+  }
+  
+  var tileSettings = getTileSettings();
+  if(tileSettings === null) {
+    return;
+  }
+  
+  var recordsSettings = getRecordsSettings();
+  if(recordsSettings === null) {
+    return;
+  }
+  
+  var selectedPredictors = getPredictorSelection();
+  if(selectedPredictors.length === 0) {
+    message_label.setValue('Select at least one predictor variable');
+    return;
+  }
+  
+  var Model_select = model_selection.getValue();
+  var SaveModel_select = SaveModel_selection.getValue() && Model_select === 'new';
+  var modelName = modelName_selection.getValue();
+  if(SaveModel_select === true && !/^[A-Za-z0-9_-]+$/.test(modelName)) {
+    message_label.setValue('Model name can only use letters, numbers, - and _');
+    return;
+  }
+  
+  var collectionOptions = {
+    legacyTC: LegacyTC_select,
+    harmonization: Harmonization_select,
+    sentinel2: S2_select,
+    s2Mask: S2Mask_select
+  };
+  
+  // a saved model brings its own predictors, hyperparameters and training data
+  if(Model_select !== 'new') {
+    var modelInfo = ee.FeatureCollection(Model_select + '__meta').first().toDictionary().getInfo();
+    selectedPredictors = modelInfo.predictors.split(',');
+    // the predictors have to be computed from the collection the model was trained on
+    if(modelInfo.collectionOptions === undefined) {
+      message_label.setValue('Warning: the saved model has no recorded collection options, ' +
+                             'check that the tasseled cap, harmonization and Sentinel-2 settings match its training');
+    }
+    else {
+      var mismatches = pipeline.collectionMismatches(JSON.parse(modelInfo.collectionOptions), collectionOptions);
+      if(mismatches.length > 0) {
+        message_label.setValue('Collection settings differ from the saved model: ' + mismatches.join(', '));
+        return;
+      }
+    }
+  }
   
 
 
   // train RF model used for prediction
-  var data = ee.FeatureCollection('users/mghethcoat/NRCan/Luka_POINT_DATA');
+  var trainingAsset = Model_select === 'new' ? pipeline.defaultTrainingAsset : modelInfo.trainingAsset;
+  var data = ee.FeatureCollection(trainingAsset);
+  if(LegacyTC_select === false && trainingAsset === pipeline.defaultTrainingAsset) {
+    message_label.setValue('Warning: the default training points have legacy tasseled cap values, ' +
+                           'dTCB / dTCG / dTCW predictions with the sensor-specific coefficients are out of distribution');
+  }
+  // points labelled in the app, merged into a new version of the training table
+  if(Model_select === 'new' && mergedTraining !== null) {
+    trainingAsset = mergedTraining.assetId;
+    data = mergedTraining.collection;
+  }
+  
+  // the training table has to carry every selected predictor as a column
+  var missingColumns = missingPredictors(data, selectedPredictors);
+  if(missingColumns.length > 0) {
+    message_label.setValue('Training data is missing predictor columns: ' + missingColumns.join(', '));
+    return;
+  }
   // best random forest hyperparameters determined by randomly searching
   // across hyperparameters for best accuracy
-  var numberOfTrees = 100;
-  var variablesPerSplit = null;
-  var minLeafPopulation  = 1;
-  var bagFraction = 0.7;
-  var maxNodes = 560;
-  var seed = 1;
+  var rfParams = pipeline.defaultRfParams;
+  var seed = rfParams.seed;
 
 
-  var classifier = ee.Classifier.smileRandomForest(
-        {
-          numberOfTrees: numberOfTrees,
-          variablesPerSplit: variablesPerSplit,
-          minLeafPopulation: minLeafPopulation,
-          bagFraction: bagFraction,
-          maxNodes: maxNodes,
-          seed: seed
-        }) 
-      .train(data, 'BURNT', predictorVariables)
-      .setOutputMode('PROBABILITY');
+  if(Model_select === 'new') {
+    var classifier = pipeline.trainClassifier(data, selectedPredictors, rfParams);
+    
+    if(SaveModel_select === true) {
+      pipeline.saveModel(classifier, registry_selection.getValue(), modelName, rfParams, selectedPredictors, trainingAsset,
+                         collectionOptions);
+    }
+  }
+  else {
+    // frozen model from the registry (no retraining)
+    rfParams = JSON.parse(modelInfo.rfParams);
+    seed = rfParams.seed;
+    var classifier = ee.Classifier.load(Model_select).setOutputMode('PROBABILITY');
+  }
+  
+  
+  // optional accuracy assessment on a seeded split of the training points
+  if(Validation_select === true) {
+    var splitMode = validationSplit_selection.getValue();
+    var report = pipeline.assessClassifier(data, selectedPredictors, rfParams, splitMode);
+    showValidationReport(report, report_panel);
+    
+    // the validation table goes to the export destination, always as CSV
+    pipeline.exportTable(pipeline.validationTable(report, selectedPredictors),
+                         'rfValidation__' + splitMode + '__seed' + seed + '__' + pipeline.predictorTag(selectedPredictors),
+                         {destination: exportSettings.destination, path: exportSettings.path, format: 'CSV'});
+  }
 
 
 
   // ****************************************
-  // *****  IF/ELSE USING DRAWN POLY  *******
+  // *****  REGION OF INTEREST  *************
   // ***************************************
   
-  if(ROI_select === true) {
-    
-    var features = Map.drawingTools().toFeatureCollection();
-    var ROI = features;
-    Map.centerObject(ROI);
-    
-    /** Clear Geometry Layers **/  
-    //  https://gis.stackexchange.com/questions/372596/google-earth-engine-ui-select-callback-fires-recursively
-    var myLayers = Map.drawingTools().layers();
-    myLayers.get(0).geometries().remove(myLayers.get(0).geometries().get(0));
-  }
-  else if(ROI_select === false) {
-    var ft = ee.FeatureCollection('users/mghethcoat/NRCan/northernEcozones_trueTundraSUB');
-
-    var ROI = ee.FeatureCollection(ft);
-    Map.centerObject(ROI);
-  }
+  // drawn geometries stay on the map (Clear drawn geometries removes them)
+  var ROI = loadROI(roiSettings);
+  Map.centerObject(ROI);
 
 
   var year_select = year_selection.getValue();
@@ -397,584 +2233,167 @@ runButton.onClick( function() {
   Map.addLayer(ROI, {}, "ROI", false, opacity);
 
 
-// -------------------------------- Format bands and combine landsat collections ----------------------------
-
-  /*
-  Credit to:
-  https://code.earthengine.google.com/b4fb68fb7f8f883595dbe165ff82e0d9
-  https://code.earthengine.google.com/?scriptPath=users%2Flisamholsinger%2Fboreal_hybrid_severity%3Amanuscript
-  */
-  // Landsat 4,5,7,8,9 Surface Reflectance Collection 2 (Tier 1)
-  var ls4SR = ee.ImageCollection("LANDSAT/LT04/C02/T1_L2").filterBounds(ROI); // 1982-1993  -  1982-08-22T14:19:55Z–1993-06-24T14:26:23
-  var ls5SR = ee.ImageCollection("LANDSAT/LT05/C02/T1_L2").filterBounds(ROI); // 1984-2012  -  1984-03-16T16:18:01Z–2012-05-05T17:54:06
-  var ls7SR_OK = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterDate('1999-01-01', '2003-06-01').filterBounds(ROI); // 1999-pres  -  1999-05-28T01:02:17Z–
-  var ls7SR_BAD = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterDate('2003-06-01', '2033-01-01').filterBounds(ROI); // SLC error on June 1st 2003
-  var ls8SR = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2").filterBounds(ROI); // 2013-pres  -  2013-03-18T15:58:14Z– 
-  var ls9SR = ee.ImageCollection("LANDSAT/LC09/C02/T1_L2").filterBounds(ROI); // 2021-pres  -  2021-10-31T00:00:00Z–
+// -------------------------------- Landsat (and Sentinel-2) collection ----------------------------
 
+  var imgCol = pipeline.buildLandsatCollection(ROI, collectionOptions);
 
-//--------------------------------------------- Format Landsat 8/9 -------------------------------------------
-  // For easier translation from band description to band name
-  var ls89Rename = function(lsImage) {
-    var sub = lsImage.select(['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7', 'QA_PIXEL'])
-      .rename(['blue', 'green', 'red', 'nir', 'sswir', 'lswir', 'qa_pixel']);
-  
-    return sub.copyProperties(lsImage, ['system:time_start']);
-  };
-  // Conversion constants as specified by the dataset
-  var scale = 0.0000275;
-  var offset = -0.2;
-
-/*
-  Description: Converts landsat band value to proper scale and offset as described by dataset
-  Input: lsImage: landsat image
-  Output: landsat image with its band values adjusted
-*/
+  // unmasked reflectance of every scene (with its cloud cover and product ID) for the scene browser
+  var sceneCol = pipeline.buildSceneCollection(ROI);
 
-var convertBandsls89 = function(lsImage) {
-  var qa = lsImage.select('QA_PIXEL');
-  var bands = lsImage.select('SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7')
-                  .multiply(scale).add(offset).toFloat();
-  return bands.addBands(qa).copyProperties(lsImage, ['system:time_start']);
-};
+  // sensors counted separately in the observation counts
+  var obsSensors = pipeline.observationSensors(collectionOptions);
 
+  // water and land masks
+  var masks = pipeline.landMasks(ROI);
 
-//--------------------------------------------- Format Landsat 4/5/7 -------------------------------------------
+  var searchWindow = {start: windowStart, end: windowEnd, snowFree: null};
+  if(Adaptive_select === true) {
+    searchWindow.snowFree = pipeline.getSnowFreeWindow(ROI);
+    Map.addLayer(searchWindow.snowFree, {bands: ['start'], min: 120, max: 200}, 'snow-free start (DOY)', false);
+  }
 
-  // For easier translation from band description to band name
-  var ls457Rename = function(lsImage) {
-    var sub = lsImage.select( ['SR_B1','SR_B2','SR_B3','SR_B4','SR_B5','SR_B7','QA_PIXEL'])
-      .rename(['blue','green','red','nir','sswir','lswir', 'qa_pixel']);
-  
-    return sub.copyProperties(lsImage, ['system:time_start']);
+  // ------------------------------------ per-year pipeline ----------------------------------
+  // composites, RF prediction and the four rules for one year of analysis
+  var mapYear = function(year_select) {
+    return pipeline.runYear({
+      collection: imgCol,
+      roi: ROI,
+      year: year_select,
+      classifier: classifier,
+      predictors: selectedPredictors,
+      window: searchWindow,
+      sensors: obsSensors,
+      masks: masks,
+      rules: ruleSettings
+    });
   };
 
 
-/*
-  Description: Converts landsat band value to proper scale and offset as described by dataset
-  Input: lsImage: landsat image
-  Output: landsat image with its band values adjusted
-*/
-var convertBandsls457 = function(lsImage) {
-  var qa = lsImage.select('QA_PIXEL');
-  var bands = lsImage.select('SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7')
-                  .multiply(scale).add(offset).toFloat();
-  return bands.addBands(qa).copyProperties(lsImage, ['system:time_start']);
-};
-
-
-// --------------------------------- Masking functions for Landsat Collections ------------------------------
-
-
-/*
-  Description: Masks landsat image pixels that are low quality (New Landsat collections)
-  Input: lsImg: landsat image
-  Output: landsat image with masked pixels based on the landsat pixel_qa band
-*/
-  var lsMaskNew = function(lsImg){
-    var quality = lsImg.select(['qa_pixel']);
-    var dilatedCloud = (1 << 1);
-    var cloud = (1 << 3);
-    var cloudShadow = (1 << 4);
-    var water = (1 << 7);
-    var snow = (1 << 5);
-    // Cloud confidence is comprised of bits 8-9.
-    // Add the two bits and interpolate them to a range from 0-3.
-    // 0 = None, 1 = Low, 2 = Medium, 3 = High.
-    var cloudConfidence = quality.bitwiseAnd(128)
-        .add(quality.bitwiseAnd(256))
-        .interpolate([0, 129, 257, 384], [0, 1, 2, 3], 'clamp').int();
-    var cloudConfidenceMedHigh = cloudConfidence.gte(2); 
-    
-    var mask = quality.bitwiseAnd(cloud)
-        .or(quality.bitwiseAnd(dilatedCloud))
-        .or(quality.bitwiseAnd(cloudShadow))
-        .or(quality.bitwiseAnd(water))
-        .or(quality.bitwiseAnd(snow));
-        //.or(cloudConfidenceMedHigh);
-        
-    var clear = mask.not();
-    return lsImg.updateMask(clear).select(allVariables).copyProperties(lsImg, ['system:time_start']);
-  };
+  var kSelect = ruleSettings.k;
+
+  //using a grid to breakup the exports of the default ROI
+  if(drawnROI === false && (Export_select === true || Batch_select === true)) {
+    var tiles = pipeline.buildTiles(ROI, tileSettings.crs, tileSettings.tileSize, masks.shorelines);
+    var tileIds = tiles.aggregate_array('cell_id').getInfo();
+    Map.addLayer(tiles.style({color: '0000FF', fillColor: '00000000'}), {}, 'export tiles', false);
+
+    // re-export only the selected cells
+    if(tileSettings.cellIds.length > 0) {
+      var unknownIds = tileSettings.cellIds.filter(function(id) {
+        return tileIds.indexOf(id) === -1;
+      });
+      if(unknownIds.length > 0) {
+        message_label.setValue('Unknown export cell IDs: ' + unknownIds.join(', '));
+        return;
+      }
+      tileIds = tileSettings.cellIds;
+    }
+  }
 
-  var SLC_lsMask = function(lsImg){
-    var quality = lsImg.select(['qa_pixel']);
-    var dilatedCloud = (1 << 1);
-    var cloud = (1 << 3);
-    var cloudShadow = (1 << 4);
-    var water = (1 << 7);
-    var snow = (1 << 5);
-    // Cloud confidence is comprised of bits 8-9.
-    // Add the two bits and interpolate them to a range from 0-3.
-    // 0 = None, 1 = Low, 2 = Medium, 3 = High.
-    var cloudConfidence = quality.bitwiseAnd(128)
-        .add(quality.bitwiseAnd(256))
-        .interpolate([0, 129, 257, 384], [0, 1, 2, 3], 'clamp').int();
-    var cloudConfidenceMedHigh = cloudConfidence.gte(2); 
-    
-    var mask = quality.bitwiseAnd(cloud)
-        .or(quality.bitwiseAnd(dilatedCloud))
-        .or(quality.bitwiseAnd(cloudShadow))
-        .or(quality.bitwiseAnd(water))
-        .or(quality.bitwiseAnd(snow))
-        .or(cloudConfidenceMedHigh);
-        
-    var clear = mask.not();
-    // shaving some extra pixels off the clear image to remove sketchy data from bad L7 period
-    //var clearBuff = clear.focal_min(300, "square", "meters", 1)
-    
-    return lsImg.updateMask(clear).select(allVariables)                                    
-              .copyProperties(lsImg, ['system:time_start']);
-    };
-    
-    
-    
-    
-  var Indices = function(img) {
-  
-    var nbr  = img.normalizedDifference(['nir', 'lswir']).toFloat().rename('nbr');
-    var nbr2 = img.normalizedDifference(['sswir', 'lswir']).toFloat().rename('nbr2');
-    var ndvi = img.normalizedDifference(['nir','red']).toFloat().rename('ndvi');
-    var ndmi = img.normalizedDifference(['nir', 'sswir']).toFloat().rename('ndmi');
-    var ndwi = img.normalizedDifference(['green', 'nir']).toFloat().rename('ndwi');
-    
-    var evi  = getEVI(img);
-    var mirbi = getMIRBI(img);
-    var bai = getBAI(img);
-    var baims = getBAIMs(img);
-    var csi = getCSI(img);
-    var bsi = getBSI(img);
-    var msavi = getMSAVI(img);
-    var tcb = getTCB(img);
-    var tcg = getTCG(img);
-    var tcw = getTCW(img);
-    
-    var qa = img.select('qa_pixel');
-  
-    return nbr.addBands([nbr2,ndvi,ndmi,ndwi,evi,mirbi,bai,baims,csi,bsi,msavi,tcb,tcg,tcw,qa])
-            .copyProperties(img, ['system:time_start']);
+  // queue the candidate exports of one year, returns the task names
+  var exportYear = function(yearRun) {
+    return pipeline.exportCandidates(yearRun, {
+      scale: Res,
+      rules: ruleSettings,
+      cleanup: cleanupSettings,
+      agreement: Agreement_select,
+      records: recordsSettings,
+      exportSettings: exportSettings,
+      tiles: drawnROI === false ? tiles : null,
+      tileIds: tileIds,
+      stitch: stitchTiles_select
+    }).map(function(queued) {
+      return queued.description;
+    });
   };
 
 
-  // -------------- Map through all formatting functions and produce final combined Landsat collection ---------------
-
-  var ls9 = ls9SR.map(convertBandsls89).map(ls89Rename).map(Indices)
-                .map(lsMaskNew);
-  var ls8 = ls8SR.map(convertBandsls89).map(ls89Rename).map(Indices)
-                .map(lsMaskNew);
-  var ls7_OK = ls7SR_OK.map(convertBandsls457).map(ls457Rename).map(Indices)
-                .map(lsMaskNew);
-  var ls7_BAD = ls7SR_BAD.map(convertBandsls457).map(ls457Rename).map(Indices)
-                .map(SLC_lsMask);
-  var ls5 = ls5SR.map(convertBandsls457).map(ls457Rename).map(Indices)
-                .map(lsMaskNew);
-  var ls4 = ls4SR.map(convertBandsls457).map(ls457Rename).map(Indices)
-                .map(lsMaskNew);
-                
-  // Merge Landsat Collections
-  var lsCol = ee.ImageCollection(ls9.merge(ls8.merge(ls7_BAD.merge(ls7_OK.merge(ls5.merge(ls4))))));
 
-
-
-// // -------------------------------------------- Format Sentinel-2 --------------------------------------------
-// S2 has been removed for now b/c the model predictions are not consistent and I need to
-// explore better coefficients our using the Landsat-S2 hamonized dataset instead
-
-
-//   // Sentinel-2 MSI: MultiSpectral Instrument, Level-2A
-//   var sen2SR = ee.ImageCollection("COPERNICUS/S2_SR"); // 2017-03-28T00:00:00Z -
-
-
-//   // For easier translation from band description to band name
-//   var sent2Rename = function(lsImage) {
-//     var sub = lsImage.select(['B2','B3','B4','B8','B11','B12','QA60'])
-//           .rename(['blue','green','red','nir','sswir','lswir', 'qa_pixel']);
+  // ****************************************
+  // *****  BATCH MODE (year range)   *******
+  // ***************************************
+  // runs the same pipeline for every year and queues its exports, no map layers
   
-//     return sub.copyProperties(lsImage, ['system:time_start']);
-//   };
-
-//   /*
-//     -links to different papers sentinel2 to landsat conversion equations:
+  if(Batch_select === true) {
+    var batchQueued = [];
+    for(var batchYear = batchStart; batchYear <= batchEnd; batchYear++) {
+      batchQueued = batchQueued.concat(exportYear(mapYear(batchYear)));
+    }
+    showBatchSummary(batchQueued, batchStart, batchEnd, summary_panel);
+    return;
+  }
   
-//     1. https://www.mdpi.com/2072-4292/12/2/281
-//     2. https://ieeexplore.ieee.org/document/9762921
-//     3. https://hls.gsfc.nasa.gov/wp-content/uploads/2017/03/HLS.v1.2.UserGuide.pdf
   
-//     currently using paper 3's conversion
-//   */
-//   var slope = ee.Image([1.020, 0.994, 1.017, 0.999, 0.999, 1.003]);
-//   // scaled from original paper to match sentinel2 collection scaling (0.0001)
-//   var intercepts = ee.Image([44.7, 10.9, -10.4, 2.5, 1.24, 11.9]); 
-
-//   // Conversion constants as specified by the dataset
-//   var scale_sen = 0.0001;
-
-//   /*
-//     Description: Converts sentinel2 imagery to be more similar to Landsat imagery through band adjustments
-//     Input: senImage: sentinel2 image
-//     Output: sentinel image with band adjustments as specified by the above papers
-//   */
-
-//   var convertToLandsat = function(senImage) {
-//     var qa = senImage.select('QA60');
-//     var bands = senImage.select(['B2', 'B3', 'B4', 'B8', 'B11', 'B12'])
-//                       .multiply(slope).add(intercepts).multiply(scale_sen).toFloat();
-//     return bands.addBands(qa).copyProperties(senImage, ['system:time_start']);
-//   }
-
-
-
-
-//   /*
-//     Description: Masks sentinel2 image pixels that are low quality
-//     Input: senImage: sentinel2 image
-//     Output: sentinel2 image with masked pixels based on the sentinel2 QA60 cloud band
-//   */
-
-//   var senMask = function(senImage) {
-//     var quality = senImage.select('qa_pixel');
-
-//     // Bits 10 and 11 are clouds and cirrus, respectively.
-//     var cloudBitMask = 1 << 10;
-//     var cirrusBitMask = 1 << 11;
-
-//     // Both flags should be set to zero, indicating clear conditions.
-//     var clear = quality.bitwiseAnd(cloudBitMask).eq(0)
-//         .and(quality.bitwiseAnd(cirrusBitMask).eq(0));
-
-//     return senImage.updateMask(clear).select([0,1,2,3,4,5,6,7,8,9,10,11,12,13,14])                                    
-//               .copyProperties(senImage, ['system:time_start']);
-//   };
-
-
-//   // Create spectral indices and mask low quality pixels
-//   var sen2 = sen2SR.map(convertToLandsat).map(sent2Rename).map(Indices)
-//                     .map(senMask);
-                  
-//   var landsatSentinelCol = ee.ImageCollection(lsCol.merge(sen2));
-
-
-
-  var imgCol = lsCol;
-
-
-  // create water mask
-  var dryLand = ee.Image("JRC/GSW1_4/GlobalSurfaceWater").select(['max_extent']).eq(0).selfMask().clip(ROI);
   
-  // create land mask
-  var mainlands = ee.FeatureCollection('projects/sat-io/open-datasets/shoreline/mainlands');
-  var big_islands = ee.FeatureCollection('projects/sat-io/open-datasets/shoreline/big_islands');
-  var merged = mainlands.merge(big_islands);
+  var yearRun = mapYear(year_select);
+  var rules = yearRun.rules;
   
-  // Rasterize polys and clip to ROI
-  var land = merged.reduceToImage({
-    properties: ['OBJECTID'],
-    reducer: ee.Reducer.count()
-  }).clip(ROI);
-
+  if(Export_select === true) {
+    exportYear(yearRun);
+  }
   
-  // pre-fire variable names
-  var preVariables = allVariables.map(function(word) {
-    return ee.String('pre_').cat(word);
-  });
-
-
-  // post-fire variable names
-  var postVariables = allVariables.map(function(word) {
-    return ee.String('post_').cat(word);
-  });
-
-  // transparent image used to backfill empty pixel values in case there is no data
-  var transparentImage = allVariables.map(function(count) {
-    return ee.Image().toFloat();
-  });
-
-  transparentImage = ee.Image.cat(transparentImage).rename(allVariables);
-
-
-
-
-  var startDate = ee.Date(year_select + '-06-15');
-  var endDate = ee.Date(year_select + '-09-01');
-  var THEclassifier = classifier;
+  // layers and images of the RUN, kept in lastRun
+  var runImages = yearRun;
   
-  // Pre-Imagery
-  var preFireYearStart = ee.Date(startDate).advance(-1, 'year');
-  var preFireYearEnd = ee.Date(endDate).advance(-1, 'year');
+  // RF prediction is hidden when exporting the whole default ROI, redrawn when the model is retrained
+  runImages.predictionLayer = Map.addLayer(yearRun.predictedImage, {
+    min: 0,
+    max: 1,
+    palette: ['#fee8c8', '#fce1bd', '#fadab2', '#f8d3a8', 
+            '#f7cc9e', '#f5c594', '#f4bd8a', '#f3b681',
+            '#f2ae78', '#f0a66f', '#e55637', '#e34a33']},
+    'RFprediction', !(Export_select === true && drawnROI === false));
+
+  // candidate layer (and rule agreement layers), redrawn by the rule panel without re-running
+  var agreeROI = pipeline.ruleAgreement(rules).clip(ROI);
+  if(Agreement_select === true) {
+    runImages.agreementLayer = Map.addLayer(agreeROI.select('agreement'), 
+      {min: 0, max: 4, palette: ['#ffffcc', '#fed976', '#fd8d3c', '#e31a1c', '#800026']},
+      'rule agreement (0-4)', false);
+    runImages.bitsLayer = Map.addLayer(agreeROI.select('rule_bits'), 
+      {min: 0, max: 15, palette: ['#000000', '#1f78b4', '#33a02c', '#e31a1c', '#ff7f00', '#6a3d9a', '#b15928', '#ffffff']},
+      'rule bitmask (1 RF, 2 DEV, 4 SUB, 8 MN)', false);
+  }
+  var candidates = pipeline.candidateMask(rules, kSelect, ROI);
+  runImages.candidateLayer = Map.addLayer(candidates, {palette: ['FF0000']}, 'candidate fires', true);
   
-  var preFilteredCol = imgCol.filterBounds(ROI)
-                             .filterDate(preFireYearStart, preFireYearEnd)
-                             .merge(ee.ImageCollection(transparentImage));
-                             
-  var pre_filled = ee.Image(preFilteredCol.median())
-                             .select(allVariables, preVariables);
- 
-  // Post-Imagery
-  var postFireYearStart = ee.Date(startDate).advance(1, 'year');
-  var postFireYearEnd = ee.Date(endDate).advance(1, 'year');
-  
-  var postFilteredCol = imgCol.filterBounds(ROI)
-                             .filterDate(postFireYearStart, postFireYearEnd)
-                             .merge(ee.ImageCollection(transparentImage));
-  
-  var post_filled = ee.Image(postFilteredCol.median())
-                             .select(allVariables, postVariables);
-
-  var fireIndices = pre_filled.addBands(post_filled);
-  
-  // calculate dNBR  
-  var burnIndices = fireIndices.expression(
-              "(b('pre_nbr') - b('post_nbr')) * 1000")
-              .rename('dnbr').toInt().addBands(fireIndices);
-
-  // calculate RBR 
-  var burnIndices2 = burnIndices.expression(
-            "b('dnbr') / (b('pre_nbr') + 1.001)")
-            .rename('rbr').toInt().addBands(burnIndices);
-            
-  // calculate RdNBR
-   var burnIndices3 = burnIndices2.expression(
-            "abs(b('pre_nbr')) < 0.001 ? 0.001" + 
-            ": b('pre_nbr')")
-            .abs().sqrt().rename('pre_nbr3').toFloat().addBands(burnIndices2);
-  
-  var burnIndices4 = burnIndices3.expression(
-            "b('dnbr') / b('pre_nbr3')")
-            .rename('rdnbr').toInt().addBands(burnIndices3);
-            
-  // calculate dNDVI
-  var burnIndices5 = burnIndices4.expression(
-              "(b('pre_ndvi') - b('post_ndvi')) * 1000")
-              .rename('dndvi').toInt().addBands(burnIndices4);
-              
-  // calculate dEVI
-  var burnIndices6 = burnIndices5.expression(
-              "(b('pre_evi') - b('post_evi')) * 1000")       
-              .rename('devi').toInt().addBands(burnIndices5);
-
-   // calculate dNDMI  
-  var burnIndices7 = burnIndices6.expression(
-              "(b('pre_ndmi') - b('post_ndmi')) * 1000")                  
-              .rename('dndmi').toInt().addBands(burnIndices6);
-              
-   // calculate dMIRBI   
-  var burnIndices8 = burnIndices7.expression(
-              "(b('pre_mirbi') - b('post_mirbi')) * 1000")             
-              .rename('dmirbi').toInt().addBands(burnIndices7);
-              
-   // calculate dNBR2   
-  var burnIndices9 = burnIndices8.expression(
-              "(b('pre_nbr2') - b('post_nbr2')) * 1000")             
-              .rename('dnbr2').toInt().addBands(burnIndices8);
-  
-  // calculate dNDWI            
-  var burnIndices10 = burnIndices9.expression(
-            "(b('pre_ndwi') - b('post_ndwi')) * 1000")             
-            .rename('dndwi').toInt().addBands(burnIndices9);
-            
-  // calculate dBAI           
-  var burnIndices11 = burnIndices10.expression(
-            "(b('pre_bai') - b('post_bai'))")             
-            .rename('dbai').toInt().addBands(burnIndices10);
-
-  // calculate dBAIMs            
-  var burnIndices12 = burnIndices11.expression(
-            "(b('pre_baims') - b('post_baims')) * 10")             
-            .rename('dbaims').toInt().addBands(burnIndices11);
-            
-  // calculate dCSI            
-  var burnIndices13 = burnIndices12.expression(
-            "(b('pre_csi') - b('post_csi')) * 1000")             
-            .rename('dcsi').toInt().addBands(burnIndices12);
-            
-  // calculate dBSI            
-  var burnIndices14 = burnIndices13.expression(
-            "(b('pre_bsi') - b('post_bsi')) * 1000")             
-            .rename('dbsi').toInt().addBands(burnIndices13);
-  
-  // calculate dTCB            
-  var burnIndices15 = burnIndices14.expression(
-            "(b('pre_tcb') - b('post_tcb')) * 100")             
-            .rename('dtcb').toInt().addBands(burnIndices14);
-            
-  // calculate dTCG            
-  var burnIndices16 = burnIndices15.expression(
-            "(b('pre_tcg') - b('post_tcg')) * 100")             
-            .rename('dtcg').toInt().addBands(burnIndices15);
-            
-  // calculate dTCW            
-  var burnIndices17 = burnIndices16.expression(
-            "(b('pre_tcw') - b('post_tcw')) * 100")             
-            .rename('dtcw').toInt().addBands(burnIndices16);
-
-  // calculate dMSAVI            
-  var burnIndices18 = burnIndices17.expression(
-            "(b('pre_msavi') - b('post_msavi')) * 1000")             
-            .rename('dmsavi').toInt().addBands(burnIndices17);
-  
-  // mask water points
-  var burnIndices19 = burnIndices18.updateMask(dryLand);  
-  
-  // reformat the predictorVariable list for easier selecting/subsetting of indices
-  var lowerCaseVariables = predictorVariables.map(function(str) {
-    return ee.String(str).toLowerCase();
-  });
+  // candidates against the recorded perimeters (vectorized on the fly, can be slow for the default ROI)
+  if(recordsSettings.asset !== null) {
+    var records = pipeline.loadRecords(recordsSettings, year_select);
+    var recordVectors = pipeline.matchRecordedFires(pipeline.vectorizeCandidates(candidates, ROI.geometry(), Res, cleanupSettings),
+                                           records, recordsSettings.idProperty);
+    Map.addLayer(records.filterBounds(ROI).style({color: '000000', fillColor: '00000000', width: 1}), {}, 
+                 'recorded perimeters', false);
+    Map.addLayer(styleRecordStatus(recordVectors), {}, 'record status (blue recorded, orange partial, red unrecorded)', true);
+  }
   
-  // rename and select bands
-  burnIndices19 = burnIndices19.select(lowerCaseVariables, predictorVariables); 
-
-
-
-
-  var predictedImage = burnIndices19.classify(THEclassifier).updateMask(dryLand).updateMask(land);
-
-
-  ////////////////////////////////////////////////////////////////////////////////////////
-  //// time series deviations 
-
-  // get median of TimeSeries over ROI (1-3 years prior)  
-  var Tm1 = imgCol.filterDate(startDate.advance(-1,'years'),endDate.advance(-1,'years'));
-  var Tm2 = imgCol.filterDate(startDate.advance(-2,'years'),endDate.advance(-2,'years'));
-  var Tm3 = imgCol.filterDate(startDate.advance(-3,'years'),endDate.advance(-3,'years'));
-  var PREmedian = ee.Image((Tm1.merge(Tm2.merge(Tm3))).median());
-
-
-  // calculate deviation from median - RATIO across each image in the TS
-  // compressing each TS down to median (tested mean and some others but median better)
-  var TSdevDiv = imgCol.map(function (IMG){return ee.Image(IMG.divide(PREmedian)).copyProperties(IMG,['system:time_start'])});
-  var divColA = TSdevDiv.filterDate(startDate.advance(1,'years'),endDate.advance(1,'years')).median().clip(ROI);
-  var divColB = TSdevDiv.filterDate(startDate.advance(0,'years'),endDate.advance(0,'years')).median().clip(ROI);
-  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
-  var divCol = ee.Image(ee.ImageCollection([divColA,divColB]).min());
-
-
-  // calculate deviation from median - SUBTRACT across each image in the TS
-  // compressing each TS down to mean (tested median and some others but mean better)
-  var TSdevSub = imgCol.map(function (IMG){return ee.Image(IMG.subtract(PREmedian)).copyProperties(IMG,['system:time_start'])});
-  var subColA = TSdevSub.filterDate(startDate.advance(1,'years'),endDate.advance(1,'years')).mean().clip(ROI);
-  var subColB = TSdevSub.filterDate(startDate.advance(0,'years'),endDate.advance(0,'years')).mean().clip(ROI);
-  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
-  var subCol = ee.Image(ee.ImageCollection([subColA,subColB]).min());
-
-  // this is how I will grab the lowest NBR value across the 2 timeseries
-  // originaly tried mean value but settled on post-fire NBR needed to be <0 (using min here)
-  var meanColA = imgCol.filterDate(startDate.advance(1,'years'),endDate.advance(1,'years')).min().clip(ROI);
-  var meanColB = imgCol.filterDate(startDate.advance(0,'years'),endDate.advance(0,'years')).min().clip(ROI);
-  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
-  var meanCol = ee.Image(ee.ImageCollection([meanColA,meanColB]).min());
-
-  // mask lakes then ocean
-  var meanIMG = meanCol.updateMask(dryLand).updateMask(land);
-  var divIMG = divCol.updateMask(dryLand).updateMask(land);
-  var subIMG = subCol.updateMask(dryLand).updateMask(land);
-
-
-  /////////////////////////////////////////////////////////////// 
-
-  // now threshold using our 4-rules
-  var hiRFthresh = predictedImage.gt(0.9);            // high RF pred
-  var hiDEVthresh = divIMG.select(['nbr2']).lt(0.5);  // >50% drop compared to the historical avg
-  var hiSUBthresh = subIMG.select(['nbr2']).lt(-0.1); // <0.1 difference from historical avg
-  var hiMNthresh = meanIMG.select(['nbr']).lt(0);     // post-fire NBR below 0 
-
-
+  // kept for the pixel inspector
+  runImages.imgCol = imgCol;
+  runImages.sceneCol = sceneCol;
+  runImages.windowStart = windowStart;
+  runImages.windowEnd = windowEnd;
+  runImages.snowFree = searchWindow.snowFree;
+  runImages.scale = Res;
+  // kept for retraining on merged training points
+  runImages.predictors = selectedPredictors;
+  runImages.rfParams = rfParams;
+  runImages.masks = masks;
+  runImages.trainingAsset = trainingAsset;
+  runImages.trainingData = data;
+  lastRun = runImages;
+  sceneButton.setDisabled(false);
   
-  //using a grid to breakup the exports
-  var grid = ROI.geometry().coveringGrid('EPSG:4326', 1000000);
-
-  if(Export_select === true && ROI_select === false) {
-      
-      Map.addLayer(predictedImage, {
-        min: 0,
-        max: 1,
-        palette: ['#fee8c8', '#fce1bd', '#fadab2', '#f8d3a8', 
-              '#f7cc9e', '#f5c594', '#f4bd8a', '#f3b681',
-              '#f2ae78', '#f0a66f', '#e55637', '#e34a33']},
-        'RFprediction', false);  
-    
-    for( var i = 1; i < 24; i++) {   
-      //there are 24 subGrid polys
-      // loop through each polyGrid
-      var subROI = ee.Feature(grid.toList(24).get(i)).geometry();
-      var one = hiRFthresh.clip(subROI);
-      var two = hiDEVthresh.clip(subROI);
-      var three = hiSUBthresh.clip(subROI);
-      var four = hiMNthresh.clip(subROI);
-      var subIMG = one.add(two).add(three).add(four).eq(4).selfMask();
-    
-      var Res = 60;      // pixel size (meters) of output
-      var pxFilter = 0;  // if you want to limit connected pixel count
-      
-      var vectors = subIMG.reduceToVectors({
-        reducer: ee.Reducer.countEvery(), 
-        geometry: subROI,
-        scale: Res,
-        maxPixels: 1e13,
-        tileScale: 4
-      });//.filter(ee.Filter.gt('count', pxFilter))
-
-
-  
-    var iVar = ee.Number(i).format('%02d').getInfo();
-    Export.table.toDrive({
-      collection: vectors,
-      description: "candidateFires__"+year_select+'__ROIsub_'+iVar+"_"+pxFilter+'px'+Res+'m', //filename defaults to description
-      folder: "tundraFire_exports",
-      fileFormat: 'GeoJSON'
-    });
-  }
-
-  }
-  else if(Export_select === true && ROI_select === true) {
-    
-    Map.addLayer(predictedImage, {
-      min: 0,
-      max: 1,
-      palette: ['#fee8c8', '#fce1bd', '#fadab2', '#f8d3a8', 
-              '#f7cc9e', '#f5c594', '#f4bd8a', '#f3b681',
-              '#f2ae78', '#f0a66f', '#e55637', '#e34a33']},
-      'RFprediction', true);
-    
-    var one = hiRFthresh.clip(ROI);
-    var two = hiDEVthresh.clip(ROI);
-    var three = hiSUBthresh.clip(ROI);
-    var four = hiMNthresh.clip(ROI);
-    var subIMG = one.add(two).add(three).add(four).eq(4).selfMask();
-
-
-    var Res = 60;
-    var pxFilter = 0;
-    var iVar = ee.String('drawROI').getInfo()
-    var vectors = subIMG.reduceToVectors({
-        reducer: ee.Reducer.countEvery(), 
-        geometry: ROI,
-        scale: Res,
-        maxPixels: 1e13,
-        tileScale: 4
-      });//.filter(ee.Filter.gt('count', pxFilter))
-    
-     Export.table.toDrive({
-      collection: vectors,
-      description: "candidateFires__"+year_select+'__'+iVar+"_"+pxFilter+'px'+Res+'m', //filename defaults to description
-      folder: "tundraFire_exports",
-      fileFormat: 'GeoJSON'
-    });
-    
-  }
-  else if(Export_select === false) {
-    Map.addLayer(predictedImage, {
-      min: 0,
-      max: 1,
-      palette: ['#fee8c8', '#fce1bd', '#fadab2', '#f8d3a8', 
-              '#f7cc9e', '#f5c594', '#f4bd8a', '#f3b681',
-              '#f2ae78', '#f0a66f', '#e55637', '#e34a33']},
-      'RFprediction', true);
+  // click a pixel to see why it was (or wasn't) flagged
+  if(inspectCallback !== null) {
+    Map.unlisten(inspectCallback);
   }
-
+  inspectCallback = Map.onClick(mapClick);
 
 
 
   
-});
+};
+
+runButton.onClick(runApp);
 
 
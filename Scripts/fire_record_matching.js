@@ -0,0 +1,390 @@
+/**
+ * Offline version of the recorded-perimeter comparison (matchRecordedFires)
+ * of tundra_fire_pipeline.js, for checking exported candidates
+ * against CNFDB / NBAC perimeters without an Earth Engine session.
+ *
+ * Overlaps are exact intersection areas, like the app: the candidate area inside the
+ * union of the recorded perimeters, and the fire ID of the perimeter with the largest
+ * intersection. Areas are planar in lon/lat, the fractions match the geodesic ones of the
+ * app closely for fire-sized polygons. Records without a Polygon / MultiPolygon are skipped,
+ * candidates without one are refused.
+ *
+ * usage (Node):
+ *   node fire_record_matching.js candidates.geojson records.geojson [idProperty] > tagged.geojson
+ * tests (fixtures in Scripts/test/fixtures):
+ *   node --test Scripts/test
+ */
+
+
+
+// same thresholds as the app: 'recorded' from this overlap fraction, 'partially recorded' below it
+var recordedFraction = 0.5;
+
+
+
+/*
+  Description: Polygons of a GeoJSON geometry (members of a GeometryCollection included)
+  Inputs:
+    -geometry: GeoJSON geometry, or null
+  Output: list of polygons (lists of rings), empty when the geometry has no polygon
+*/
+var polygonsOf = function(geometry) {
+  if(!geometry || !geometry.type) {
+    return [];
+  }
+  if(geometry.type === 'Polygon' && Array.isArray(geometry.coordinates)) {
+    return [geometry.coordinates];
+  }
+  if(geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates)) {
+    return geometry.coordinates;
+  }
+  if(geometry.type === 'GeometryCollection' && Array.isArray(geometry.geometries)) {
+    return geometry.geometries.reduce(function(polygons, member) {
+      return polygons.concat(polygonsOf(member));
+    }, []);
+  }
+  return [];
+};
+
+/*
+  Description: Signed area of a ring (shoelace), positive when counter-clockwise
+  Inputs:
+    -ring: list of [x, y] positions
+  Output: signed area
+*/
+var ringArea = function(ring) {
+  var area = 0;
+  for(var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+};
+
+/*
+  Description: Polygons shifted to a local origin (keeps the areas precise at large coordinates),
+               with counter-clockwise shells and clockwise holes
+  Inputs:
+    -polygons: list of polygons (polygonsOf)
+    -origin: [lon, lat] subtracted from every position
+  Output: list of polygons
+*/
+var normalizePolygons = function(polygons, origin) {
+  return polygons.map(function(rings) {
+    return rings.map(function(ring, r) {
+      var shifted = ring.map(function(position) {
+        return [position[0] - origin[0], position[1] - origin[1]];
+      });
+      var clockwise = ringArea(shifted) < 0;
+      return clockwise === (r === 0) ? shifted.reverse() : shifted;
+    });
+  });
+};
+
+/*
+  Description: Checks if a point is inside a polygon ring (ray casting)
+  Inputs:
+    -point: [lon, lat]
+    -ring: list of [lon, lat] positions
+  Output: true if the point is inside the ring
+*/
+var inRing = function(point, ring) {
+  var inside = false;
+  for(var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    var xi = ring[i][0], yi = ring[i][1];
+    var xj = ring[j][0], yj = ring[j][1];
+    if(((yi > point[1]) !== (yj > point[1])) &&
+       (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/*
+  Description: Checks if a point is inside a list of polygons (holes excluded)
+  Inputs:
+    -point: [lon, lat]
+    -polygons: list of polygons (polygonsOf)
+  Output: true if the point is inside one of the polygons
+*/
+var inPolygons = function(point, polygons) {
+  return polygons.some(function(rings) {
+    return inRing(point, rings[0]) && !rings.slice(1).some(function(hole) {
+      return inRing(point, hole);
+    });
+  });
+};
+
+/*
+  Description: Bounding box of a list of polygons
+  Inputs:
+    -polygons: list of polygons (polygonsOf)
+  Output: [minLon, minLat, maxLon, maxLat]
+*/
+var bounds = function(polygons) {
+  var box = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(function(rings) {
+    rings[0].forEach(function(position) {
+      box[0] = Math.min(box[0], position[0]);
+      box[1] = Math.min(box[1], position[1]);
+      box[2] = Math.max(box[2], position[0]);
+      box[3] = Math.max(box[3], position[1]);
+    });
+  });
+  return box;
+};
+
+/*
+  Description: Edges of a list of polygons (zero length edges left out)
+  Inputs:
+    -polygons: list of polygons (polygonsOf)
+  Output: list of [start, end] positions
+*/
+var polygonEdges = function(polygons) {
+  var edges = [];
+  polygons.forEach(function(rings) {
+    rings.forEach(function(ring) {
+      for(var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if(ring[j][0] !== ring[i][0] || ring[j][1] !== ring[i][1]) {
+          edges.push([ring[j], ring[i]]);
+        }
+      }
+    });
+  });
+  return edges;
+};
+
+/*
+  Description: Positions (0-1 along the edge) where other edges cross or touch an edge
+  Inputs:
+    -edge: [start, end] positions
+    -others: list of edges
+  Output: sorted list of positions, 0 and 1 included
+*/
+var splitPositions = function(edge, others) {
+  var p = edge[0];
+  var r = [edge[1][0] - p[0], edge[1][1] - p[1]];
+  var length2 = r[0] * r[0] + r[1] * r[1];
+  var tol = 1e-12;
+  var positions = [0, 1];
+  others.forEach(function(other) {
+    var q = other[0];
+    var s = [other[1][0] - q[0], other[1][1] - q[1]];
+    var qp = [q[0] - p[0], q[1] - p[1]];
+    var denom = r[0] * s[1] - r[1] * s[0];
+    if(Math.abs(denom) > tol * length2) {
+      var t = (qp[0] * s[1] - qp[1] * s[0]) / denom;
+      var u = (qp[0] * r[1] - qp[1] * r[0]) / denom;
+      if(t > 0 && t < 1 && u >= -tol && u <= 1 + tol) {
+        positions.push(t);
+      }
+    }
+    // collinear edges split each other at their end points
+    else if(Math.abs(qp[0] * r[1] - qp[1] * r[0]) <= tol * length2) {
+      other.forEach(function(position) {
+        var t = ((position[0] - p[0]) * r[0] + (position[1] - p[1]) * r[1]) / length2;
+        if(t > 0 && t < 1) {
+          positions.push(t);
+        }
+      });
+    }
+  });
+  return positions.sort(function(a, b) {
+    return a - b;
+  });
+};
+
+/*
+  Description: Exact area of the intersection of polygons with the union of other polygons.
+               The boundary of the intersection is made of the pieces of every edge that have the
+               intersection on one side only, summed with the shoelace formula (pieces shared by
+               both boundaries are counted once)
+  Inputs:
+    -polygons: list of polygons (normalizePolygons)
+    -others: list of lists of polygons (normalizePolygons), their union is intersected
+  Output: area of the intersection (same units as the polygon areas)
+*/
+var intersectionArea = function(polygons, others) {
+  var inside = function(point) {
+    return inPolygons(point, polygons) && others.some(function(other) {
+      return inPolygons(point, other);
+    });
+  };
+  var edges = others.reduce(function(all, other) {
+    return all.concat(polygonEdges(other));
+  }, polygonEdges(polygons));
+
+  var seen = {};
+  var area = 0;
+  edges.forEach(function(edge) {
+    var positions = splitPositions(edge, edges);
+    for(var k = 1; k < positions.length; k++) {
+      if(positions[k] - positions[k - 1] <= 1e-12) {
+        continue;
+      }
+      var a = [edge[0][0] + positions[k - 1] * (edge[1][0] - edge[0][0]),
+               edge[0][1] + positions[k - 1] * (edge[1][1] - edge[0][1])];
+      var b = [edge[0][0] + positions[k] * (edge[1][0] - edge[0][0]),
+               edge[0][1] + positions[k] * (edge[1][1] - edge[0][1])];
+      var key = [a, b].map(function(position) {
+        return Math.round(position[0] * 1e10) + ',' + Math.round(position[1] * 1e10);
+      }).sort().join(';');
+      if(seen[key]) {
+        continue;
+      }
+      seen[key] = true;
+
+      // points just left and right of the middle of the piece
+      var dx = b[0] - a[0], dy = b[1] - a[1];
+      var length = Math.sqrt(dx * dx + dy * dy);
+      var eps = Math.min(length * 1e-3, 1e-9) / length;
+      var mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      var left = inside([mid[0] - dy * eps, mid[1] + dx * eps]);
+      var right = inside([mid[0] + dy * eps, mid[1] - dx * eps]);
+      if(left !== right) {
+        var cross = (a[0] * b[1] - b[0] * a[1]) / 2;
+        area += left ? cross : -cross;
+      }
+    }
+  });
+  return area;
+};
+
+/*
+  Description: Area of a list of polygons (normalizePolygons)
+  Inputs:
+    -polygons: list of polygons
+  Output: area (shells minus holes)
+*/
+var polygonsArea = function(polygons) {
+  return polygons.reduce(function(total, rings) {
+    return total + rings.reduce(function(sum, ring) {
+      return sum + ringArea(ring);
+    }, 0);
+  }, 0);
+};
+
+/*
+  Description: Record status of a candidate from its overlap fraction
+  Inputs:
+    -overlap: fraction (0-1) of the candidate inside recorded perimeters
+  Output: 'recorded', 'partially recorded' or 'unrecorded'
+*/
+var recordStatus = function(overlap) {
+  if(overlap >= recordedFraction) {
+    return 'recorded';
+  }
+  return overlap > 0 ? 'partially recorded' : 'unrecorded';
+};
+
+/*
+  Description: Matches one candidate against the recorded perimeters
+  Inputs:
+    -candidate: GeoJSON Feature (Polygon or MultiPolygon)
+    -records: list of GeoJSON Features of recorded perimeters
+    -idProperty: fire ID property of the perimeters
+  Output: {record_status, record_overlap, record_fire_id} as set by matchRecordedFires in the app
+*/
+var matchCandidate = function(candidate, records, idProperty) {
+  var candidatePolygons = polygonsOf(candidate.geometry);
+  if(candidatePolygons.length === 0) {
+    throw new Error('no Polygon or MultiPolygon geometry');
+  }
+  var box = bounds(candidatePolygons);
+  var origin = [box[0], box[1]];
+  var polygons = normalizePolygons(candidatePolygons, origin);
+
+  // records touching the candidate's bounding box (filterBounds in the app)
+  var overlapping = [];
+  records.forEach(function(record) {
+    var recordPolygons = polygonsOf(record.geometry);
+    if(recordPolygons.length === 0) {
+      return;
+    }
+    var recordBox = bounds(recordPolygons);
+    if(recordBox[0] <= box[2] && recordBox[2] >= box[0] && recordBox[1] <= box[3] && recordBox[3] >= box[1]) {
+      overlapping.push({record: record, polygons: normalizePolygons(recordPolygons, origin)});
+    }
+  });
+
+  var area = polygonsArea(polygons);
+  var overlap = overlapping.length > 0 && area > 0 ? intersectionArea(polygons, overlapping.map(function(item) {
+    return item.polygons;
+  })) / area : 0;
+
+  // fire ID of the perimeter with the largest intersection
+  var best = null;
+  var bestArea = 0;
+  overlapping.forEach(function(item) {
+    var itemArea = intersectionArea(polygons, [item.polygons]);
+    if(itemArea > bestArea) {
+      best = item.record;
+      bestArea = itemArea;
+    }
+  });
+
+  return {
+    record_status: recordStatus(overlap),
+    record_overlap: overlap,
+    record_fire_id: best !== null ? (best.properties || {})[idProperty] : ''
+  };
+};
+
+/*
+  Description: Tags every candidate of a FeatureCollection by its overlap with recorded perimeters
+  Inputs:
+    -candidates: GeoJSON FeatureCollection of candidate polygons
+    -records: GeoJSON FeatureCollection of recorded perimeters
+    -idProperty: fire ID property of the perimeters (default 'NFIREID')
+  Output: copy of the candidates with record_status, record_overlap and record_fire_id properties
+          (throws for a candidate without a Polygon or MultiPolygon geometry)
+*/
+var matchRecordedFires = function(candidates, records, idProperty) {
+  idProperty = idProperty || 'NFIREID';
+  return {
+    type: 'FeatureCollection',
+    features: candidates.features.map(function(candidate, i) {
+      var match;
+      try {
+        match = matchCandidate(candidate, records.features, idProperty);
+      } catch(e) {
+        throw new Error('Candidate ' + i + ': ' + e.message);
+      }
+      var properties = {};
+      Object.keys(candidate.properties || {}).forEach(function(key) {
+        properties[key] = candidate.properties[key];
+      });
+      Object.keys(match).forEach(function(key) {
+        properties[key] = match[key];
+      });
+      return {type: 'Feature', geometry: candidate.geometry, properties: properties};
+    })
+  };
+};
+
+
+exports.recordedFraction = recordedFraction;
+exports.polygonsOf = polygonsOf;
+exports.intersectionArea = intersectionArea;
+exports.recordStatus = recordStatus;
+exports.matchCandidate = matchCandidate;
+exports.matchRecordedFires = matchRecordedFires;
+
+
+if(typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  var fs = require('fs');
+  var args = process.argv.slice(2);
+  if(args.length < 2) {
+    console.error('usage: node fire_record_matching.js candidates.geojson records.geojson [idProperty]');
+    process.exit(1);
+  }
+  try {
+    var tagged = matchRecordedFires(JSON.parse(fs.readFileSync(args[0], 'utf8')),
+                                    JSON.parse(fs.readFileSync(args[1], 'utf8')),
+                                    args[2]);
+    process.stdout.write(JSON.stringify(tagged));
+  } catch(e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
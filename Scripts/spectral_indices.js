@@ -0,0 +1,492 @@
+/**
+ * Plain-JS reference of the spectral indices of tundra_fire_pipeline.js
+ * (indexRegistry, tasseledCapCoefs and deltaIndices), for checking the formulas and
+ * training tables without an Earth Engine session.
+ *
+ * Values are computed in double precision while EE works in float32, so a differenced
+ * value sitting right on an integer boundary can be one unit apart.
+ *
+ * usage (Node):
+ *   node spectral_indices.js --check [tundra_fire_pipeline.js]
+ *       golden values, and sync of the reference with the pipeline's index registry
+ *   node spectral_indices.js training.csv|training.geojson
+ *       range check of a training table (one line per problem)
+ */
+
+
+
+// reflectance bands, in the order of the tasseled cap coefficients
+var reflectanceBands = ['blue', 'green', 'red', 'nir', 'sswir', 'lswir'];
+
+// same coefficient sets as the pipeline
+var tasseledCapCoefs = {
+  legacy: {
+    tcb: [0.3037, 0.2793, 0.4743, 0.5585, 0.5082, 0.1863],
+    tcg: [-0.2848, -0.2435, -0.5436, 0.7243, 0.0840, -0.1800],
+    tcw: [0.1509, 0.1973, 0.3279, 0.3406, -0.7112, -0.4572]
+  },
+  TM: {
+    tcb: [0.2043, 0.4158, 0.5524, 0.5741, 0.3124, 0.2303],
+    tcg: [-0.1603, -0.2819, -0.4934, 0.7940, -0.0002, -0.1446],
+    tcw: [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109]
+  },
+  ETM: {
+    tcb: [0.3561, 0.3972, 0.3904, 0.6966, 0.2286, 0.1596],
+    tcg: [-0.3344, -0.3544, -0.4556, 0.6966, -0.0242, -0.2630],
+    tcw: [0.2626, 0.2141, 0.0926, 0.0656, -0.7629, -0.5388]
+  },
+  OLI: {
+    tcb: [0.3029, 0.2786, 0.4733, 0.5599, 0.5080, 0.1872],
+    tcg: [-0.2941, -0.2430, -0.5424, 0.7276, 0.0713, -0.1608],
+    tcw: [0.1511, 0.1973, 0.3283, 0.3407, -0.7117, -0.4559]
+  }
+};
+tasseledCapCoefs.MSI = tasseledCapCoefs.OLI;
+
+var normalizedDifference = function(a, b) {
+  return (a - b) / (a + b);
+};
+
+var tasseledCap = function(r, component, options) {
+  var coefs = tasseledCapCoefs[options.legacyTC === true ? 'legacy' : options.sensor][component];
+  return reflectanceBands.reduce(function(sum, band, i) {
+    return sum + coefs[i] * r[band];
+  }, 0);
+};
+
+/*
+  Reference of every registered index (same order, names and delta scales as indexRegistry)
+    -compute: function(r, options) of a reflectance object {blue, green, red, nir, sswir, lswir}
+*/
+var indices = [
+  {name: 'nbr', delta: 'dNBR', deltaScale: 1000, relative: {rbr: 'RBR', rdnbr: 'RdNBR'},
+   compute: function(r) { return normalizedDifference(r.nir, r.lswir); }},
+  {name: 'nbr2', delta: 'dNBR2', deltaScale: 1000,
+   compute: function(r) { return normalizedDifference(r.sswir, r.lswir); }},
+  {name: 'ndvi', delta: 'dNDVI', deltaScale: 1000,
+   compute: function(r) { return normalizedDifference(r.nir, r.red); }},
+  {name: 'ndmi', delta: 'dNDMI', deltaScale: 1000,
+   compute: function(r) { return normalizedDifference(r.nir, r.sswir); }},
+  {name: 'ndwi', delta: 'dNDWI', deltaScale: 1000,
+   compute: function(r) { return normalizedDifference(r.green, r.nir); }},
+  {name: 'evi', delta: 'dEVI', deltaScale: 1000,
+   compute: function(r) { return 2.5 * ((r.nir - r.red) / (r.nir + 6 * r.red - 7.5 * r.blue + 1)); }},
+  {name: 'mirbi', delta: 'dMIRBI', deltaScale: 1000,
+   compute: function(r) { return 10 * r.lswir - 9.8 * r.sswir + 2; }},
+  {name: 'bai', delta: 'dBAI', deltaScale: 1,
+   compute: function(r) { return 1 / (Math.pow(0.1 - r.red, 2) + Math.pow(0.06 - r.nir, 2)); }},
+  {name: 'baims', delta: 'dBAIMs', deltaScale: 10,
+   compute: function(r) { return 1 / (Math.pow(r.nir - 0.05 * r.nir, 2) + Math.pow(r.sswir - 0.2 * r.sswir, 2)); }},
+  {name: 'csi', delta: 'dCSI', deltaScale: 1000,
+   compute: function(r) { return r.nir / r.sswir; }},
+  {name: 'bsi', delta: 'dBSI', deltaScale: 1000,
+   compute: function(r) { return ((r.red + r.sswir) - (r.nir + r.blue)) / ((r.red + r.sswir) + (r.nir + r.blue)); }},
+  {name: 'msavi', delta: 'dMSAVI', deltaScale: 1000,
+   compute: function(r) { return (2 * r.nir + 1 - Math.sqrt(Math.pow(2 * r.nir + 1, 2) - 8 * (r.nir - r.red))) / 2; }},
+  {name: 'tcb', delta: 'dTCB', deltaScale: 100,
+   compute: function(r, options) { return tasseledCap(r, 'tcb', options); }},
+  {name: 'tcg', delta: 'dTCG', deltaScale: 100,
+   compute: function(r, options) { return tasseledCap(r, 'tcg', options); }},
+  {name: 'tcw', delta: 'dTCW', deltaScale: 100,
+   compute: function(r, options) { return tasseledCap(r, 'tcw', options); }}
+];
+
+
+
+/*
+  Description: Computes every index of one reflectance observation (the pipeline's computeIndices)
+  Inputs:
+    -r: reflectance {blue, green, red, nir, sswir, lswir}
+    -options: {sensor: 'TM' | 'ETM' | 'OLI' | 'MSI', legacyTC: true for the legacy tasseled cap}
+  Output: {nbr, nbr2, ..., tcw}
+*/
+var computeIndices = function(r, options) {
+  options = options || {sensor: 'OLI'};
+  var result = {};
+  indices.forEach(function(entry) {
+    result[entry.name] = entry.compute(r, options);
+  });
+  return result;
+};
+
+/*
+  Description: Differenced and relative indices of a pre-/post-fire pair (the pipeline's deltaIndices),
+               truncated to integers as by toInt()
+  Inputs:
+    -pre, post: index values (computeIndices) of the pre- and post-fire composites
+  Output: {RBR, RdNBR, dNBR, dNBR2, ..., dTCW} named as the predictors / training columns
+*/
+var deltaIndices = function(pre, post) {
+  var result = {};
+  indices.forEach(function(entry) {
+    var delta = Math.trunc((pre[entry.name] - post[entry.name]) * entry.deltaScale);
+    result[entry.delta] = delta;
+    if(entry.relative) {
+      result[entry.relative.rbr] = Math.trunc(delta / (pre[entry.name] + 1.001));
+      // pre_nbr3 guard: |pre| floored at 0.001 so RdNBR stays finite
+      result[entry.relative.rdnbr] = Math.trunc(delta / Math.sqrt(Math.max(Math.abs(pre[entry.name]), 0.001)));
+    }
+  });
+  return result;
+};
+
+
+
+// pre/post reflectance and expected values (independently computed), indices to 6 decimals
+var goldenCases = [
+  {
+    description: 'OLI burn',
+    options: {sensor: 'OLI'},
+    pre: {blue: 0.03, green: 0.06, red: 0.05, nir: 0.30, sswir: 0.15, lswir: 0.08},
+    post: {blue: 0.04, green: 0.06, red: 0.07, nir: 0.18, sswir: 0.20, lswir: 0.16},
+    preIndices: {nbr: 0.578947, nbr2: 0.304348, ndvi: 0.714286, ndmi: 0.333333, ndwi: -0.666667, evi: 0.454545,
+                 mirbi: 1.33, bai: 16.638935, baims: 10.457516, csi: 2.0, bsi: -0.245283, msavi: 0.425834,
+                 tcb: 0.308614, tcg: 0.165588, tcw: -0.008231},
+    postIndices: {nbr: 0.058824, nbr2: 0.111111, ndvi: 0.44, ndmi: -0.052632, ndwi: -0.5, evi: 0.211538,
+                  mirbi: 1.64, bai: 65.359477, baims: 18.234533, csi: 0.9, bsi: 0.102041, msavi: 0.187659,
+                  tcb: 0.294297, tcg: 0.055188, tcw: -0.113095},
+    deltas: {RBR: 329, RdNBR: 683, dNBR: 520, dNBR2: 193, dNDVI: 274, dNDMI: 385, dNDWI: -166, dEVI: 243,
+             dMIRBI: -309, dBAI: -48, dBAIMs: -77, dCSI: 1100, dBSI: -347, dMSAVI: 238, dTCB: 1, dTCG: 11, dTCW: 10}
+  },
+  {
+    description: 'legacy tasseled cap',
+    options: {sensor: 'OLI', legacyTC: true},
+    pre: {blue: 0.03, green: 0.06, red: 0.05, nir: 0.30, sswir: 0.15, lswir: 0.08},
+    post: {blue: 0.04, green: 0.06, red: 0.07, nir: 0.18, sswir: 0.20, lswir: 0.16},
+    preIndices: {tcb: 0.308268, tcg: 0.165156, tcw: -0.008316},
+    postIndices: {tcb: 0.294085, tcg: 0.05432, tcw: -0.113257},
+    deltas: {dTCB: 1, dTCG: 11, dTCW: 10}
+  },
+  {
+    description: 'pre-fire NBR of zero (RdNBR guard)',
+    options: {sensor: 'TM'},
+    pre: {blue: 0.03, green: 0.05, red: 0.06, nir: 0.10, sswir: 0.12, lswir: 0.10},
+    post: {blue: 0.03, green: 0.05, red: 0.06, nir: 0.08, sswir: 0.12, lswir: 0.13},
+    preIndices: {nbr: 0},
+    postIndices: {nbr: -0.238095},
+    deltas: {dNBR: 238, RBR: 237, RdNBR: 7526}
+  }
+];
+
+/*
+  Description: Checks the reference against the golden values
+  Output: list of failure messages (empty when all pass)
+*/
+var checkGolden = function() {
+  var failures = [];
+  goldenCases.forEach(function(test) {
+    var pre = computeIndices(test.pre, test.options);
+    var post = computeIndices(test.post, test.options);
+    var deltas = deltaIndices(pre, post);
+    var compare = function(label, actual, expected, tolerance) {
+      Object.keys(expected).forEach(function(name) {
+        if(!(Math.abs(actual[name] - expected[name]) <= tolerance)) {
+          failures.push(test.description + ': ' + label + ' ' + name + ' = ' + actual[name] + ', expected ' + expected[name]);
+        }
+      });
+    };
+    compare('pre', pre, test.preIndices, 5e-7);
+    compare('post', post, test.postIndices, 5e-7);
+    compare('delta', deltas, test.deltas, 0);
+  });
+  return failures;
+};
+
+/*
+  Description: Reads a top-level `var <name> = ...;` definition out of the pipeline source
+  Inputs:
+    -source: text of tundra_fire_pipeline.js
+    -startMarker: text the definition starts with
+    -endMarker: text the definition ends with (included)
+    -name: variable returned by the extracted code
+    -scope: {name: value} of the pipeline variables the extracted code uses (optional)
+  Output: value of the variable
+*/
+var extractDefinition = function(source, startMarker, endMarker, name, scope) {
+  scope = scope || {};
+  var start = source.indexOf(startMarker);
+  var end = source.indexOf(endMarker, start);
+  if(start === -1 || end === -1) {
+    throw new Error('could not find ' + name + ' in the pipeline source');
+  }
+  var names = Object.keys(scope);
+  var definition = Function.apply(null, names.concat(source.slice(start, end + endMarker.length) + '\nreturn ' + name + ';'));
+  return definition.apply(null, names.map(function(key) {
+    return scope[key];
+  }));
+};
+
+/*
+  Description: Image of constant band values with the ee.Image methods the pipeline's deltaIndices uses,
+               so that it can be evaluated on the golden values (toInt truncates like the reference)
+  Inputs:
+    -bands: {band name: value}
+  Output: image-like object, its band values in .bands
+*/
+var constantImage = function(bands) {
+  var valueOf = function(other) {
+    return typeof other === 'number' ? other : other.bands[Object.keys(other.bands)[0]];
+  };
+  var bandwise = function(operation) {
+    return function(other) {
+      var result = {};
+      Object.keys(bands).forEach(function(name) {
+        result[name] = operation(bands[name], other === undefined ? undefined : valueOf(other));
+      });
+      return constantImage(result);
+    };
+  };
+  var withBands = function(names, values) {
+    var result = {};
+    names.forEach(function(name, i) {
+      result[name] = values[i];
+    });
+    return constantImage(result);
+  };
+  return {
+    bands: bands,
+    select: function(name) { return withBands([name], [bands[name]]); },
+    rename: function(name) { return withBands([name], [bands[Object.keys(bands)[0]]]); },
+    addBands: function(other) {
+      var names = Object.keys(bands).concat(Object.keys(other.bands));
+      return withBands(names, names.map(function(name) {
+        return name in other.bands ? other.bands[name] : bands[name];
+      }));
+    },
+    add: bandwise(function(a, b) { return a + b; }),
+    subtract: bandwise(function(a, b) { return a - b; }),
+    multiply: bandwise(function(a, b) { return a * b; }),
+    divide: bandwise(function(a, b) { return a / b; }),
+    max: bandwise(function(a, b) { return Math.max(a, b); }),
+    abs: bandwise(function(a) { return Math.abs(a); }),
+    sqrt: bandwise(function(a) { return Math.sqrt(a); }),
+    toInt: bandwise(function(a) { return Math.trunc(a); })
+  };
+};
+
+/*
+  Description: Checks that the pipeline's index registry, tasseled cap coefficients and deltaIndices match the
+               reference, by evaluating each registry index as EE computes it (normalizedDifference of its
+               bands, or its formula, EE expression syntax being valid JS here) on the golden reflectance,
+               comparing names, delta scales and relative forms, and evaluating deltaIndices (differenced
+               and RBR / RdNBR expressions) on the golden index values
+  Inputs:
+    -source: text of tundra_fire_pipeline.js
+  Output: list of mismatch messages (empty when in sync)
+*/
+var checkSync = function(source) {
+  var failures = [];
+  var registry = extractDefinition(source, 'var reflectanceBands', '// differenced predictors', 'indexRegistry');
+  var appCoefs = extractDefinition(source, 'var tasseledCapCoefs = {', '\n};', 'tasseledCapCoefs');
+
+  Object.keys(appCoefs).forEach(function(set) {
+    if(JSON.stringify(appCoefs[set]) !== JSON.stringify(tasseledCapCoefs[set])) {
+      failures.push('tasseled cap coefficients ' + set + ' differ');
+    }
+  });
+
+  var names = registry.map(function(entry) { return entry.name; });
+  var referenceNames = indices.map(function(entry) { return entry.name; });
+  if(names.join(',') !== referenceNames.join(',')) {
+    failures.push('registry indices [' + names.join(', ') + '] differ from the reference [' + referenceNames.join(', ') + ']');
+  }
+
+  var r = goldenCases[0].pre;
+  var expected = computeIndices(r, goldenCases[0].options);
+  registry.forEach(function(entry) {
+    var reference = indices.filter(function(index) { return index.name === entry.name; })[0];
+    if(reference === undefined) {
+      return;
+    }
+    if(entry.delta !== reference.delta || entry.deltaScale !== reference.deltaScale ||
+       JSON.stringify(entry.relative) !== JSON.stringify(reference.relative)) {
+      failures.push(entry.name + ': delta name, scale or relative forms differ');
+    }
+    // tasseled cap entries are checked through the coefficients
+    if(entry.compute) {
+      return;
+    }
+    var value;
+    if(entry.normalizedDifference) {
+      value = normalizedDifference(r[entry.bands[0]], r[entry.bands[1]]);
+    }
+    else {
+      var formula = new Function(reflectanceBands.join(', '), 'sqrt', 'abs', 'return ' + entry.formula + ';');
+      value = formula.apply(null, reflectanceBands.map(function(band) {
+        return r[band];
+      }).concat([Math.sqrt, Math.abs]));
+    }
+    if(!(Math.abs(value - expected[entry.name]) <= 1e-9)) {
+      failures.push(entry.name + ': ' + (entry.normalizedDifference ? 'normalized difference of ' + entry.bands.join(', ') : 'formula') +
+                    ' gives ' + value + ', reference ' + expected[entry.name]);
+    }
+  });
+
+  var appDeltas = extractDefinition(source, 'var deltaIndices = function', '\n};', 'deltaIndices', {indexRegistry: registry});
+  goldenCases.forEach(function(test) {
+    var pre = computeIndices(test.pre, test.options);
+    var post = computeIndices(test.post, test.options);
+    var fireBands = {};
+    Object.keys(pre).forEach(function(name) {
+      fireBands['pre_' + name] = pre[name];
+      fireBands['post_' + name] = post[name];
+    });
+    var actual = appDeltas(constantImage(fireBands)).bands;
+    var reference = deltaIndices(pre, post);
+    Object.keys(reference).forEach(function(name) {
+      if(actual[name.toLowerCase()] !== reference[name]) {
+        failures.push(test.description + ': deltaIndices ' + name + ' = ' + actual[name.toLowerCase()] +
+                      ', reference ' + reference[name]);
+      }
+    });
+  });
+  return failures;
+};
+
+
+
+// differenced indices built on normalized differences are bounded by 2 * deltaScale
+var boundedIndices = ['nbr', 'nbr2', 'ndvi', 'ndmi', 'ndwi', 'bsi'];
+
+/*
+  Description: Range check of a training table (the class column and every differenced index column it has)
+  Inputs:
+    -rows: list of property objects (one per training point)
+    -classProperty: class column (default 'BURNT', values 0 / 1)
+  Output: list of {row, column, value, problem}
+*/
+var validateTrainingTable = function(rows, classProperty) {
+  classProperty = classProperty || 'BURNT';
+  var problems = [];
+  rows.forEach(function(row, i) {
+    var burnt = Number(row[classProperty]);
+    if(burnt !== 0 && burnt !== 1) {
+      problems.push({row: i, column: classProperty, value: row[classProperty], problem: 'class is not 0 or 1'});
+    }
+    indices.forEach(function(entry) {
+      var columns = [entry.delta].concat(entry.relative ? [entry.relative.rbr, entry.relative.rdnbr] : []);
+      columns.forEach(function(column) {
+        if(row[column] === undefined || row[column] === '') {
+          return;
+        }
+        var value = Number(row[column]);
+        if(!isFinite(value)) {
+          problems.push({row: i, column: column, value: row[column], problem: 'not a number'});
+        }
+        else if(value !== Math.trunc(value)) {
+          problems.push({row: i, column: column, value: value, problem: 'not an integer'});
+        }
+        else if(column === entry.delta && boundedIndices.indexOf(entry.name) !== -1 &&
+                Math.abs(value) > 2 * entry.deltaScale) {
+          problems.push({row: i, column: column, value: value, problem: 'outside +/-' + 2 * entry.deltaScale});
+        }
+      });
+    });
+  });
+  return problems;
+};
+
+/*
+  Description: Parses a CSV export (quoted fields allowed, e.g. the .geo column of EE exports)
+  Inputs:
+    -text: CSV text with a header line
+  Output: list of row objects
+*/
+var parseCsv = function(text) {
+  var records = [];
+  var record = [];
+  var field = '';
+  var quoted = false;
+  for(var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if(quoted) {
+      if(c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      }
+      else if(c === '"') {
+        quoted = false;
+      }
+      else {
+        field += c;
+      }
+    }
+    else if(c === '"') {
+      quoted = true;
+    }
+    else if(c === ',') {
+      record.push(field);
+      field = '';
+    }
+    else if(c === '\n' || c === '\r') {
+      if(c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    }
+    else {
+      field += c;
+    }
+  }
+  if(field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  var header = records.shift() || [];
+  return records.filter(function(values) {
+    return values.join('') !== '';
+  }).map(function(values) {
+    var row = {};
+    header.forEach(function(name, j) {
+      row[name] = values[j];
+    });
+    return row;
+  });
+};
+
+
+exports.reflectanceBands = reflectanceBands;
+exports.tasseledCapCoefs = tasseledCapCoefs;
+exports.indices = indices;
+exports.computeIndices = computeIndices;
+exports.deltaIndices = deltaIndices;
+exports.goldenCases = goldenCases;
+exports.checkGolden = checkGolden;
+exports.checkSync = checkSync;
+exports.validateTrainingTable = validateTrainingTable;
+exports.parseCsv = parseCsv;
+
+
+if(typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  var fs = require('fs');
+  var path = require('path');
+  var args = process.argv.slice(2);
+  if(args.length < 1) {
+    console.error('usage: node spectral_indices.js --check [tundra_fire_pipeline.js] | training.csv|.geojson');
+    process.exit(1);
+  }
+
+  if(args[0] === '--check') {
+    var appPath = args[1] || path.join(__dirname, 'tundra_fire_pipeline.js');
+    var failures = checkGolden().concat(checkSync(fs.readFileSync(appPath, 'utf8')));
+    failures.forEach(function(failure) {
+      console.error('FAIL ' + failure);
+    });
+    console.log(failures.length === 0 ? 'ok: golden values and pipeline registry in sync' : failures.length + ' failure(s)');
+    process.exit(failures.length === 0 ? 0 : 1);
+  }
+
+  var text = fs.readFileSync(args[0], 'utf8');
+  var rows = /\.(geo)?json$/i.test(args[0]) ? JSON.parse(text).features.map(function(feature) {
+    return feature.properties;
+  }) : parseCsv(text);
+  var problems = validateTrainingTable(rows, args[1]);
+  problems.forEach(function(problem) {
+    console.log('row ' + problem.row + ' ' + problem.column + ' = ' + problem.value + ': ' + problem.problem);
+  });
+  console.error(rows.length + ' rows, ' + problems.length + ' problem(s)');
+  process.exit(problems.length === 0 ? 0 : 1);
+}
@@ -0,0 +1,87 @@
+/**
+ * Stub of the @google/earthengine client for running the CLI (tundra_fire_cli.js) offline.
+ * Every ee call returns another stub, except:
+ *   -evaluate / getInfo: the export tile IDs of the settings
+ *   -ee.batch.Export.*: a task recorded in stub.tasks, started with start(success, error)
+ *   -ee.data.getTaskStatus: the next statuses of the settings (one list per poll)
+ */
+
+
+
+/*
+  Description: Creates a stubbed ee client
+  Inputs:
+    -settings: {tileIds: cell IDs returned by evaluate / getInfo,
+                evaluateError: error passed to evaluate callbacks,
+                startError: error of task.start,
+                statuses: list of polls, each a list of {id, state, error_message} (last one repeated),
+                statusError: error of getTaskStatus}
+  Output: {ee, tasks: list of {type, description, task}, polls: number of getTaskStatus calls}
+*/
+var createStub = function(settings) {
+  settings = settings || {};
+  var stub = {tasks: [], polls: 0};
+
+  var getTaskStatus = function(ids, callback) {
+    var statuses = settings.statuses || [];
+    var poll = statuses[Math.min(stub.polls, statuses.length - 1)] || [];
+    stub.polls++;
+    callback(settings.statusError ? null : poll, settings.statusError);
+  };
+
+  var exportTask = function(path, args) {
+    var params = args[0] || {};
+    var task = {
+      start: function(success, error) {
+        if(settings.startError) {
+          error(settings.startError);
+          return;
+        }
+        task.id = 'TASK' + stub.tasks.indexOf(recorded);
+        success();
+      }
+    };
+    var recorded = {type: path.replace('ee.batch.Export.', ''), description: params.description, task: task};
+    stub.tasks.push(recorded);
+    return task;
+  };
+
+  var make = function(path) {
+    return new Proxy(function() {}, {
+      get: function(target, key) {
+        if(typeof key === 'symbol' || key === 'then' || key === 'toJSON') {
+          return undefined;
+        }
+        if(key === 'evaluate') {
+          return function(callback) {
+            callback(settings.evaluateError ? undefined : settings.tileIds || [], settings.evaluateError);
+          };
+        }
+        if(key === 'getInfo') {
+          return function() {
+            return settings.tileIds || [];
+          };
+        }
+        if(path === 'ee.data' && key === 'getTaskStatus') {
+          return getTaskStatus;
+        }
+        return make(path + '.' + key);
+      },
+      apply: function(target, self, args) {
+        if(/^ee\.batch\.Export\.\w+\.\w+$/.test(path)) {
+          return exportTask(path, args);
+        }
+        return make(path + '()');
+      },
+      construct: function() {
+        return make(path + '()');
+      }
+    });
+  };
+
+  stub.ee = make('ee');
+  return stub;
+};
+
+
+exports.createStub = createStub;
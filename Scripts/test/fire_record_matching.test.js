@@ -0,0 +1,94 @@
+/**
+ * Tests of the offline recorded-perimeter comparison (fire_record_matching.js)
+ * against the GeoJSON fixtures (fixtures/candidates.geojson, fixtures/records.geojson).
+ * The fixture squares are 8 x 8 steps of 1/64 degree, so the expected fractions are exact.
+ *
+ * usage (Node 18+):
+ *   node --test Scripts/test
+ */
+
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var matching = require('../fire_record_matching.js');
+
+var readFixture = function(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+};
+var candidates = readFixture('candidates.geojson');
+var records = readFixture('records.geojson');
+
+// record status, overlap fraction and fire ID of every fixture candidate
+var expected = {
+  c_half: ['recorded', 0.5, 'r_half'],
+  c_union: ['recorded', 0.75, 'r_union_b'],
+  c_hole: ['partially recorded', 1 / 3, 'r_hole'],
+  c_adjacent: ['unrecorded', 0, ''],
+  c_identical: ['recorded', 1, 'r_identical'],
+  c_diagonal: ['recorded', 0.5, 'r_diagonal'],
+  c_multi: ['recorded', 0.5, 'r_multi'],
+  c_collection: ['recorded', 1, 'r_collection'],
+  c_none: ['unrecorded', 0, '']
+};
+
+
+
+test('tags every fixture candidate with its status, overlap and fire ID', function() {
+  var tagged = matching.matchRecordedFires(candidates, records);
+  assert.strictEqual(tagged.features.length, Object.keys(expected).length);
+  tagged.features.forEach(function(ft) {
+    var values = expected[ft.properties.id];
+    assert.strictEqual(ft.properties.record_status, values[0], ft.properties.id);
+    assert.ok(Math.abs(ft.properties.record_overlap - values[1]) < 1e-9, ft.properties.id);
+    assert.strictEqual(ft.properties.record_fire_id, values[2], ft.properties.id);
+  });
+});
+
+test('keeps the candidate properties and geometry', function() {
+  var tagged = matching.matchRecordedFires(candidates, records);
+  assert.deepStrictEqual(tagged.features[0].geometry, candidates.features[0].geometry);
+  assert.strictEqual(tagged.features[0].properties.id, 'c_half');
+});
+
+test('overlap of the union of records, not the sum', function() {
+  var union = candidates.features.filter(function(ft) {
+    return ft.properties.id === 'c_union';
+  })[0];
+  var match = matching.matchCandidate(union, records.features, 'NFIREID');
+  assert.ok(Math.abs(match.record_overlap - 0.75) < 1e-9);
+});
+
+test('exact area of an edge crossing the candidate between its corners', function() {
+  // x + y <= 6 inside the 8 x 8 square: triangle of 18
+  var square = [[[[0, 0], [8, 0], [8, 8], [0, 8], [0, 0]]]];
+  var triangle = [[[[-2, -2], [8, -2], [-2, 8], [-2, -2]]]];
+  assert.ok(Math.abs(matching.intersectionArea(square, [triangle]) - 18) < 1e-9);
+});
+
+test('threshold between recorded and partially recorded', function() {
+  assert.strictEqual(matching.recordStatus(matching.recordedFraction), 'recorded');
+  assert.strictEqual(matching.recordStatus(matching.recordedFraction - 1e-6), 'partially recorded');
+  assert.strictEqual(matching.recordStatus(0), 'unrecorded');
+});
+
+test('polygons of null, point and collection geometries', function() {
+  assert.deepStrictEqual(matching.polygonsOf(null), []);
+  assert.deepStrictEqual(matching.polygonsOf({type: 'Point', coordinates: [0, 0]}), []);
+  assert.strictEqual(matching.polygonsOf({type: 'GeometryCollection', geometries: [
+    {type: 'Point', coordinates: [0, 0]},
+    {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}
+  ]}).length, 1);
+});
+
+test('refuses a candidate without a polygon', function() {
+  var broken = {type: 'FeatureCollection', features: [
+    candidates.features[0],
+    {type: 'Feature', geometry: null, properties: {id: 'c_null'}}
+  ]};
+  assert.throws(function() {
+    matching.matchRecordedFires(broken, records);
+  }, /Candidate 1: no Polygon or MultiPolygon geometry/);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests of the plain-JS spectral index reference (spectral_indices.js): the golden values
+ * and its sync with the index registry, tasseled cap coefficients and deltaIndices of tundra_fire_pipeline.js.
+ *
+ * usage (Node 18+):
+ *   node --test Scripts/test
+ */
+
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var spectral = require('../spectral_indices.js');
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'tundra_fire_pipeline.js'), 'utf8');
+
+/*
+  Description: Replaces one piece of the pipeline source
+  Inputs:
+    -from: text to replace (has to be found once)
+    -to: replacement
+  Output: edited source
+*/
+var edited = function(from, to) {
+  assert.strictEqual(source.split(from).length, 2, from);
+  return source.replace(from, to);
+};
+
+
+
+test('golden values', function() {
+  assert.deepStrictEqual(spectral.checkGolden(), []);
+});
+
+test('pipeline registry in sync with the reference', function() {
+  assert.deepStrictEqual(spectral.checkSync(source), []);
+});
+
+test('normalized difference indices are checked on their bands, not the formula', function() {
+  var failures = spectral.checkSync(edited("bands: ['nir', 'lswir'], normalizedDifference: true",
+                                           "bands: ['lswir', 'nir'], normalizedDifference: true"));
+  assert.ok(failures.some(function(failure) {
+    return /^nbr: normalized difference of lswir, nir/.test(failure);
+  }), failures.join('\n'));
+});
+
+test('relative forms of deltaIndices are checked', function() {
+  var rbr = spectral.checkSync(edited('pre.add(1.001)', 'pre.add(1)'));
+  assert.ok(rbr.some(function(failure) {
+    return /deltaIndices RBR/.test(failure);
+  }), rbr.join('\n'));
+  var rdnbr = spectral.checkSync(edited('pre.abs().max(0.001)', 'pre.abs()'));
+  assert.ok(rdnbr.some(function(failure) {
+    return /^pre-fire NBR of zero \(RdNBR guard\): deltaIndices RdNBR/.test(failure);
+  }), rdnbr.join('\n'));
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests of the command line runner (tundra_fire_cli.js) against the stubbed ee client (ee_stub.js):
+ * option parsing and validation, the dry-run task plan, starting and polling the tasks.
+ *
+ * usage (Node 18+):
+ *   node --test Scripts/test
+ */
+
+
+
+var test = require('node:test');
+var assert = require('assert');
+var cli = require('../tundra_fire_cli.js');
+var createStub = require('./ee_stub.js').createStub;
+
+var polygon = JSON.stringify({type: 'Polygon', coordinates: [[[-120, 65], [-119, 65], [-119, 66], [-120, 65]]]});
+
+/*
+  Description: Runs the CLI against a stub
+  Inputs:
+    -args: command line arguments
+    -stub: stub from createStub
+    -files: {path: text} read by --roi-geojson
+  Output: {error, exitCode, logs}
+*/
+var runCli = function(args, stub, files) {
+  var result = {logs: []};
+  cli.run(args, {
+    ee: stub.ee,
+    readFile: function(path) {
+      if(!files || files[path] === undefined) {
+        throw new Error('ENOENT: no such file or directory, open \'' + path + '\'');
+      }
+      return files[path];
+    },
+    log: function(message) {
+      result.logs.push(message);
+    },
+    schedule: function(fn) {
+      fn();
+    }
+  }, function(error, exitCode) {
+    result.error = error;
+    result.exitCode = exitCode;
+  });
+  return result;
+};
+
+
+
+test('parseArgs fills the defaults', function() {
+  var parsed = cli.parseArgs(['--year', '2019']);
+  assert.strictEqual(parsed.error, null);
+  assert.strictEqual(parsed.options.destination, 'drive');
+  assert.strictEqual(parsed.options.k, 4);
+  assert.strictEqual(parsed.options.stitch, false);
+  assert.strictEqual(parsed.options.roiAsset, null);
+});
+
+test('parseArgs reads numbers and flags', function() {
+  var parsed = cli.parseArgs(['--year', '2015-2017', '--k', '3', '--stitch', '--tile-size', '500']);
+  assert.strictEqual(parsed.error, null);
+  assert.strictEqual(parsed.options.k, 3);
+  assert.strictEqual(parsed.options.stitch, true);
+  assert.strictEqual(parsed.options.tileSize, 500);
+});
+
+test('parseArgs refuses unknown options, missing values and non numbers', function() {
+  assert.strictEqual(cli.parseArgs(['--year', '2019', '--bogus']).error, 'Unknown option --bogus');
+  assert.strictEqual(cli.parseArgs(['--year']).error, '--year needs a value');
+  assert.strictEqual(cli.parseArgs(['--year', '2019', '--k', 'three']).error, '--k must be a number');
+});
+
+test('validateOptions applies the panel rules', function() {
+  var check = function(args) {
+    return cli.parseArgs(['--year', '2019'].concat(args)).error;
+  };
+  assert.match(cli.parseArgs([]).error, /--year must be a year/);
+  assert.match(cli.parseArgs(['--year', '2019-2015']).error, /--year must be a year/);
+  assert.match(check(['--k', '5']), /--k must be 1, 2, 3 or 4/);
+  assert.match(check(['--window-start', '06-31']), /Search window/);
+  assert.match(check(['--roi-asset', 'a', '--roi-geojson', 'b']), /either --roi-asset or --roi-geojson/);
+  assert.match(check(['--predictors', 'dNBR,bogus']), /Predictors must be/);
+  assert.match(check(['--stitch', '--no-tiles']), /--stitch needs the export tiles/);
+  assert.match(check(['--export', 'ftp']), /--export must be/);
+  assert.strictEqual(check(['--snow-free', '--window-start', 'bad']), null);
+});
+
+test('parseYears expands a range', function() {
+  assert.deepStrictEqual(cli.parseYears('2015-2017'), [2015, 2016, 2017]);
+  assert.deepStrictEqual(cli.parseYears('2019'), [2019]);
+  assert.strictEqual(cli.parseYears('1980'), null);
+  assert.strictEqual(cli.parseYears('19'), null);
+});
+
+test('dry run plans one task per tile and year without starting them', function() {
+  var stub = createStub({tileIds: ['cell_1_1', 'cell_2_1']});
+  var result = runCli(['--year', '2018-2019', '--dry-run'], stub);
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.exitCode, 0);
+  assert.deepStrictEqual(stub.tasks.map(function(task) {
+    return task.description;
+  }), [
+    'candidateFires__2018__cell_1_1_0px60m',
+    'candidateFires__2018__cell_2_1_0px60m',
+    'candidateFires__2019__cell_1_1_0px60m',
+    'candidateFires__2019__cell_2_1_0px60m'
+  ]);
+  assert.match(result.logs[0], /^4 export tasks for 2018-2019/);
+  assert.ok(stub.tasks.every(function(task) {
+    return task.task.id === undefined;
+  }));
+});
+
+test('dry run of selected cells, stitched, with rasters and a GeoJSON study area', function() {
+  var stub = createStub({tileIds: ['cell_1_1', 'cell_2_1']});
+  var result = runCli(['--year', '2019', '--dry-run', '--cells', 'cell_2_1', '--stitch', '--rasters', '--k', '3',
+                       '--roi-geojson', 'roi.geojson'], stub, {'roi.geojson': polygon});
+  assert.strictEqual(result.exitCode, 0);
+  assert.deepStrictEqual(stub.tasks.map(function(task) {
+    return task.type + ' ' + task.description;
+  }), [
+    'image.toDrive rfProbability__2019__cell_2_1_30m_EPSG4326',
+    'image.toDrive candidateMask__2019__cell_2_1_30m_EPSG4326_k3',
+    'table.toDrive candidateFires__2019__stitched_0px60m_k3'
+  ]);
+});
+
+test('dry run of the study area as one cell', function() {
+  var stub = createStub();
+  var result = runCli(['--year', '2019', '--dry-run', '--no-tiles'], stub);
+  assert.strictEqual(result.exitCode, 0);
+  assert.deepStrictEqual(stub.tasks.map(function(task) {
+    return task.description;
+  }), ['candidateFires__2019__roi_0px60m']);
+});
+
+test('unknown cell IDs are refused', function() {
+  var result = runCli(['--year', '2019', '--dry-run', '--cells', 'cell_9_9'], createStub({tileIds: ['cell_1_1']}));
+  assert.strictEqual(result.error, 'Unknown export cell IDs: cell_9_9');
+  assert.strictEqual(result.exitCode, 1);
+});
+
+test('a missing or invalid GeoJSON file is reported through the callback', function() {
+  var missing = runCli(['--year', '2019', '--dry-run', '--roi-geojson', 'missing.geojson'], createStub());
+  assert.match(missing.error, /^Could not read the study area of missing\.geojson: ENOENT/);
+  assert.strictEqual(missing.exitCode, 1);
+  var invalid = runCli(['--year', '2019', '--dry-run', '--roi-geojson', 'bad.geojson'], createStub(),
+                       {'bad.geojson': '{not json'});
+  assert.match(invalid.error, /^Could not read the study area of bad\.geojson/);
+  assert.strictEqual(invalid.exitCode, 1);
+});
+
+test('GeoJSON without a polygon study area is refused', function() {
+  var files = {
+    'null.geojson': 'null',
+    'empty.geojson': '{}',
+    'feature.geojson': '{"type": "Feature", "geometry": null, "properties": {}}',
+    'point.geojson': '{"type": "Point", "coordinates": [-120, 65]}'
+  };
+  Object.keys(files).forEach(function(path) {
+    var result = runCli(['--year', '2019', '--dry-run', '--roi-geojson', path], createStub(), files);
+    assert.match(result.error, /^Could not read the study area of .*: (Not a GeoJSON object|GeoJSON )/, path);
+    assert.strictEqual(result.exitCode, 1);
+  });
+});
+
+test('starts the tasks and polls them until they are done', function() {
+  var stub = createStub({
+    tileIds: ['cell_1_1', 'cell_2_1'],
+    statuses: [
+      [{id: 'TASK0', state: 'RUNNING'}, {id: 'TASK1', state: 'READY'}],
+      [{id: 'TASK0', state: 'COMPLETED'}, {id: 'TASK1', state: 'COMPLETED'}]
+    ]
+  });
+  var result = runCli(['--year', '2019'], stub);
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.exitCode, 0);
+  assert.strictEqual(stub.polls, 2);
+  assert.strictEqual(result.logs[result.logs.length - 1], 'all 2 tasks completed');
+});
+
+test('a failed task gives exit code 1', function() {
+  var stub = createStub({
+    tileIds: ['cell_1_1', 'cell_2_1'],
+    statuses: [[{id: 'TASK0', state: 'COMPLETED'}, {id: 'TASK1', state: 'FAILED', error_message: 'quota'}]]
+  });
+  var result = runCli(['--year', '2019'], stub);
+  assert.strictEqual(result.exitCode, 1);
+  assert.ok(result.logs.indexOf('candidateFires__2019__cell_2_1_0px60m: FAILED (quota)') !== -1);
+  assert.strictEqual(result.logs[result.logs.length - 1], '1 of 2 tasks did not complete');
+});
+
+test('a task that cannot be started stops the run', function() {
+  var result = runCli(['--year', '2019'], createStub({tileIds: ['cell_1_1'], startError: 'no access'}));
+  assert.strictEqual(result.error, 'Could not start candidateFires__2019__cell_1_1_0px60m: no access');
+  assert.strictEqual(result.exitCode, 1);
+});
+
+test('pollTasks matches the statuses to the tasks by ID', function() {
+  var stub = createStub({
+    statuses: [[{id: 'B', state: 'COMPLETED'}, {id: 'A', state: 'FAILED', error_message: 'quota'}]]
+  });
+  require('../tundra_fire_pipeline.js').useClient(stub.ee);
+  var logs = [];
+  var failed;
+  cli.pollTasks([{description: 'first', id: 'A'}, {description: 'second', id: 'B'}], 1, function(message) {
+    logs.push(message);
+  }, function(fn) {
+    fn();
+  }, function(error, result) {
+    failed = result;
+  });
+  assert.deepStrictEqual(failed, [{description: 'first', state: 'FAILED', message: 'quota'}]);
+  assert.deepStrictEqual(logs.sort(), ['first: FAILED (quota)', 'second: COMPLETED']);
+});
+
+test('pollTasks keeps polling a task missing from the statuses', function() {
+  var stub = createStub({
+    statuses: [
+      [{id: 'A', state: 'COMPLETED'}],
+      [{id: 'A', state: 'COMPLETED'}, {id: 'B', state: 'COMPLETED'}]
+    ]
+  });
+  require('../tundra_fire_pipeline.js').useClient(stub.ee);
+  var failed;
+  cli.pollTasks([{description: 'first', id: 'A'}, {description: 'second', id: 'B'}], 1, function() {}, function(fn) {
+    fn();
+  }, function(error, result) {
+    failed = result;
+  });
+  assert.strictEqual(stub.polls, 2);
+  assert.deepStrictEqual(failed, []);
+});
@@ -0,0 +1,554 @@
+/**
+ * Command line runner of the candidate fire pipeline (tundra_fire_pipeline.js) for scheduled jobs,
+ * with the @google/earthengine client: takes the same inputs as the panel app, starts the export
+ * tasks and polls them until they are done.
+ *
+ * usage (Node, with @google/earthengine installed):
+ *   node tundra_fire_cli.js --year 2019 [--roi-asset ID | --roi-geojson roi.geojson] [options]
+ *   node tundra_fire_cli.js --year 2015-2019 --dry-run
+ *   node tundra_fire_cli.js --help
+ * authentication with a service account key (--key or GOOGLE_APPLICATION_CREDENTIALS)
+ *
+ * run() is given the ee module, so the CLI can be run offline against a stubbed ee
+ * (with getInfo / evaluate, batch.Export and data.getTaskStatus), see Scripts/test/ee_stub.js.
+ * tests:
+ *   node --test Scripts/test
+ */
+
+
+
+var pipeline = require('./tundra_fire_pipeline.js');
+
+// command line options: flag, option name, type ('string', 'number' or 'boolean'), default and help
+var optionSpecs = [
+  {flag: '--year', name: 'year', type: 'string', help: 'year of analysis, or a range (2015-2019) for a batch'},
+  {flag: '--roi-asset', name: 'roiAsset', type: 'string', help: 'FeatureCollection asset ID of the study area (default ' +
+                                                                 pipeline.defaultROIAsset + ')'},
+  {flag: '--roi-geojson', name: 'roiGeojson', type: 'string', help: 'GeoJSON file of the study area'},
+  {flag: '--export', name: 'destination', type: 'string', value: 'drive', help: 'export destination: drive, asset or gcs'},
+  {flag: '--folder', name: 'folder', type: 'string', value: 'tundraFire_exports',
+   help: 'Drive folder, asset folder or bucket[/prefix]'},
+  {flag: '--format', name: 'format', type: 'string', value: 'GeoJSON', help: 'table format: GeoJSON, SHP, KML, KMZ or CSV'},
+  {flag: '--rasters', name: 'rasters', type: 'boolean', help: 'also export the RF probability and candidate mask rasters'},
+  {flag: '--raster-scale', name: 'rasterScale', type: 'number', value: 30, help: 'pixel size (meters) of the rasters'},
+  {flag: '--raster-crs', name: 'rasterCrs', type: 'string', value: 'EPSG:4326', help: 'projection of the rasters'},
+  {flag: '--agreement', name: 'agreement', type: 'boolean', help: 'add the rule attributes and export the rule agreement'},
+  {flag: '--rf-thresh', name: 'rfThresh', type: 'number', value: 0.9, help: 'RF probability threshold'},
+  {flag: '--dev-band', name: 'devBand', type: 'string', value: 'nbr2', help: 'band of the ratio to baseline rule'},
+  {flag: '--dev-thresh', name: 'devThresh', type: 'number', value: 0.5, help: 'ratio to baseline threshold'},
+  {flag: '--sub-band', name: 'subBand', type: 'string', value: 'nbr2', help: 'band of the difference from baseline rule'},
+  {flag: '--sub-thresh', name: 'subThresh', type: 'number', value: -0.1, help: 'difference from baseline threshold'},
+  {flag: '--mn-band', name: 'mnBand', type: 'string', value: 'nbr', help: 'band of the post-fire value rule'},
+  {flag: '--mn-thresh', name: 'mnThresh', type: 'number', value: 0, help: 'post-fire value threshold'},
+  {flag: '--k', name: 'k', type: 'number', value: 4, help: 'number of rules (1-4) a candidate has to pass'},
+  {flag: '--window-start', name: 'windowStart', type: 'string', value: '06-15', help: 'search window start (MM-DD)'},
+  {flag: '--window-end', name: 'windowEnd', type: 'string', value: '09-01', help: 'search window end (MM-DD)'},
+  {flag: '--snow-free', name: 'snowFree', type: 'boolean', help: 'MODIS snow-free adaptive search window'},
+  {flag: '--predictors', name: 'predictors', type: 'string', value: pipeline.predictorVariables.join(','),
+   help: 'comma separated RF predictors'},
+  {flag: '--training-asset', name: 'trainingAsset', type: 'string', value: pipeline.defaultTrainingAsset,
+   help: 'training points (0/1 BURNT column and one column per predictor)'},
+  {flag: '--min-pixels', name: 'minPixels', type: 'number', value: 0, help: 'minimum polygon size (pixels)'},
+  {flag: '--morph', name: 'morph', type: 'string', value: 'none', help: 'candidate mask morphology: none, open, close or openclose'},
+  {flag: '--morph-radius', name: 'morphRadius', type: 'number', value: 1, help: 'morphology radius (pixels)'},
+  {flag: '--gap', name: 'gap', type: 'number', value: 0, help: 'merge polygons closer than this (meters)'},
+  {flag: '--simplify', name: 'simplify', type: 'number', value: 0, help: 'simplification tolerance (meters)'},
+  {flag: '--tile-size', name: 'tileSize', type: 'number', value: 1000, help: 'export tile size (km)'},
+  {flag: '--tile-crs', name: 'tileCrs', type: 'string', value: 'EPSG:4326', help: 'projection of the export tiles'},
+  {flag: '--cells', name: 'cells', type: 'string', value: '', help: 'comma separated cell IDs to (re-)export'},
+  {flag: '--no-tiles', name: 'noTiles', type: 'boolean', help: 'export the study area as one cell (roi) instead of tiles'},
+  {flag: '--stitch', name: 'stitch', type: 'boolean', help: 'export the tiles as one de-duplicated layer per year'},
+  {flag: '--records-asset', name: 'recordsAsset', type: 'string', help: 'recorded fire perimeters to tag candidates with'},
+  {flag: '--records-id', name: 'recordsId', type: 'string', value: 'NFIREID', help: 'fire ID property of the perimeters'},
+  {flag: '--records-year', name: 'recordsYear', type: 'string', value: 'YEAR', help: 'year property of the perimeters'},
+  {flag: '--sensor-tc', name: 'sensorTC', type: 'boolean',
+   help: 'sensor-specific tasseled cap coefficients (default legacy ones, as in the default training points)'},
+  {flag: '--harmonization', name: 'harmonization', type: 'string', value: 'none',
+   help: 'reflectance harmonization: none, ' + Object.keys(pipeline.harmonizationSets).join(', ')},
+  {flag: '--sentinel2', name: 'sentinel2', type: 'boolean', help: 'add the HLS-adjusted Sentinel-2 images'},
+  {flag: '--s2-mask', name: 's2Mask', type: 'string', value: 'scl', help: 'Sentinel-2 cloud mask: scl or probability'},
+  {flag: '--dry-run', name: 'dryRun', type: 'boolean', help: 'print the task plan without starting the tasks'},
+  {flag: '--no-wait', name: 'noWait', type: 'boolean', help: 'start the tasks and exit without polling'},
+  {flag: '--poll', name: 'poll', type: 'number', value: 60, help: 'seconds between task status checks'},
+  {flag: '--key', name: 'key', type: 'string', help: 'service account key file (default GOOGLE_APPLICATION_CREDENTIALS)'},
+  {flag: '--project', name: 'project', type: 'string', help: 'Cloud project of the Earth Engine requests'},
+  {flag: '--help', name: 'help', type: 'boolean', help: 'print this help'}
+];
+
+// task states after which a task is not polled anymore
+var finalStates = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+
+
+/*
+  Description: Help text of the command line options
+  Output: usage string
+*/
+var usage = function() {
+  return 'usage: node tundra_fire_cli.js --year YEAR[-YEAR] [options]\n' + optionSpecs.map(function(spec) {
+    var flag = spec.flag + (spec.type === 'boolean' ? '' : ' <' + spec.type + '>');
+    var value = spec.value === undefined || spec.value === '' ? '' : ' (default ' + spec.value + ')';
+    return '  ' + (flag + '                         ').slice(0, 26) + spec.help + value;
+  }).join('\n');
+};
+
+/*
+  Description: Parses the command line into options (defaults from optionSpecs)
+  Inputs:
+    -args: command line arguments (process.argv.slice(2))
+  Output: {options, error}, error is a message or null
+*/
+var parseArgs = function(args) {
+  var options = {};
+  optionSpecs.forEach(function(spec) {
+    options[spec.name] = spec.type === 'boolean' ? false : (spec.value === undefined ? null : spec.value);
+  });
+
+  for(var i = 0; i < args.length; i++) {
+    var spec = optionSpecs.filter(function(candidate) {
+      return candidate.flag === args[i];
+    })[0];
+    if(spec === undefined) {
+      return {options: options, error: 'Unknown option ' + args[i]};
+    }
+    if(spec.type === 'boolean') {
+      options[spec.name] = true;
+      continue;
+    }
+    if(i + 1 >= args.length) {
+      return {options: options, error: spec.flag + ' needs a value'};
+    }
+    var value = args[++i];
+    if(spec.type === 'number') {
+      value = parseFloat(value);
+      if(isNaN(value)) {
+        return {options: options, error: spec.flag + ' must be a number'};
+      }
+    }
+    options[spec.name] = value;
+  }
+  return {options: options, error: options.help ? null : validateOptions(options)};
+};
+
+/*
+  Description: Checks the options with the same rules as the panel
+  Inputs:
+    -options: options from parseArgs
+  Output: error message, or null when the options are valid
+*/
+var validateOptions = function(options) {
+  var years = parseYears(options.year);
+  if(years === null) {
+    return '--year must be a year or a range (from-to) between 1985 and 2023';
+  }
+  if(options.roiAsset !== null && options.roiGeojson !== null) {
+    return 'Use either --roi-asset or --roi-geojson';
+  }
+  if(['drive', 'asset', 'gcs'].indexOf(options.destination) === -1) {
+    return '--export must be drive, asset or gcs';
+  }
+  if(!options.folder) {
+    return 'Enter an export folder, asset folder or bucket with --folder';
+  }
+  if(options.snowFree === false && (!pipeline.isMonthDay(options.windowStart) || !pipeline.isMonthDay(options.windowEnd) ||
+                                    options.windowStart >= options.windowEnd)) {
+    return 'Search window must be two MM-DD dates with start before end';
+  }
+  var bands = [options.devBand, options.subBand, options.mnBand].filter(function(band) {
+    return pipeline.allVariables.indexOf(band) === -1;
+  });
+  if(bands.length > 0) {
+    return 'Rule bands must be one of ' + pipeline.allVariables.join(', ');
+  }
+  if([1, 2, 3, 4].indexOf(options.k) === -1) {
+    return '--k must be 1, 2, 3 or 4';
+  }
+  var unknown = options.predictors.split(',').filter(function(name) {
+    return pipeline.allVars.indexOf(name) === -1;
+  });
+  if(options.predictors === '' || unknown.length > 0) {
+    return 'Predictors must be some of ' + pipeline.allVars.join(', ');
+  }
+  if(['none', 'open', 'close', 'openclose'].indexOf(options.morph) === -1 ||
+     options.minPixels < 0 || options.morphRadius < 1 || options.gap < 0 || options.simplify < 0) {
+    return 'Cleanup options must be positive numbers (morphology radius at least 1 px)';
+  }
+  if(options.rasters && (options.rasterScale <= 0 || !/^EPSG:\d+$/.test(options.rasterCrs))) {
+    return 'Raster scale must be a positive number and CRS an EPSG code (e.g. EPSG:3978)';
+  }
+  if(!/^EPSG:\d+$/.test(options.tileCrs) || options.tileSize <= 0) {
+    return 'Tiling needs an EPSG code (e.g. EPSG:3978) and a positive tile size';
+  }
+  if(options.stitch && options.noTiles) {
+    return '--stitch needs the export tiles (drop --no-tiles)';
+  }
+  if(options.harmonization !== 'none' && pipeline.harmonizationSets[options.harmonization] === undefined) {
+    return '--harmonization must be none or one of ' + Object.keys(pipeline.harmonizationSets).join(', ');
+  }
+  if(['scl', 'probability'].indexOf(options.s2Mask) === -1) {
+    return '--s2-mask must be scl or probability';
+  }
+  if(options.poll <= 0) {
+    return '--poll must be a positive number of seconds';
+  }
+  return null;
+};
+
+/*
+  Description: Years of analysis of the --year option
+  Inputs:
+    -year: '2019' or '2015-2019'
+  Output: list of years, or null if the option isn't a valid year or range
+*/
+var parseYears = function(year) {
+  var match = /^(\d{4})(?:-(\d{4}))?$/.exec(year || '');
+  if(match === null) {
+    return null;
+  }
+  var start = parseInt(match[1], 10);
+  var end = match[2] ? parseInt(match[2], 10) : start;
+  if(start < 1985 || end > 2023 || start > end) {
+    return null;
+  }
+  var years = [];
+  for(var y = start; y <= end; y++) {
+    years.push(y);
+  }
+  return years;
+};
+
+/*
+  Description: Study area of the options
+  Inputs:
+    -options: options from parseArgs
+    -readFile: function(path) returning the text of a file
+  Output: {roi, error}, roi is the FeatureCollection of the study area, error a message or null
+          (unreadable or invalid --roi-geojson file)
+*/
+var loadROI = function(options, readFile) {
+  if(options.roiGeojson !== null) {
+    var geojson;
+    try {
+      geojson = JSON.parse(readFile(options.roiGeojson));
+    } catch(e) {
+      return {roi: null, error: 'Could not read the study area of ' + options.roiGeojson + ': ' + e.message};
+    }
+    var geojsonError = pipeline.geoJSONError(geojson);
+    if(geojsonError !== null) {
+      return {roi: null, error: 'Could not read the study area of ' + options.roiGeojson + ': ' + geojsonError};
+    }
+    return {roi: pipeline.roiFromGeoJSON(geojson), error: null};
+  }
+  return {roi: ee.FeatureCollection(options.roiAsset || pipeline.defaultROIAsset), error: null};
+};
+
+/*
+  Description: Builds the export tasks of every year (not started)
+  Inputs:
+    -options: options from parseArgs
+    -roi: FeatureCollection of the study area (loadROI)
+    -callback: function(error, plan), plan is a list of {description, task} (exportCandidates)
+*/
+var buildPlan = function(options, roi, callback) {
+  var predictors = options.predictors.split(',');
+  var classifier = pipeline.trainClassifier(ee.FeatureCollection(options.trainingAsset), predictors);
+  var collectionOptions = {
+    legacyTC: !options.sensorTC,
+    harmonization: options.harmonization,
+    sentinel2: options.sentinel2,
+    s2Mask: options.s2Mask
+  };
+  var collection = pipeline.buildLandsatCollection(roi, collectionOptions);
+  var masks = pipeline.landMasks(roi);
+  var searchWindow = options.snowFree ?
+    {start: pipeline.adaptiveStart, end: pipeline.adaptiveEnd, snowFree: pipeline.getSnowFreeWindow(roi)} :
+    {start: options.windowStart, end: options.windowEnd, snowFree: null};
+  var ruleSettings = {
+    rfThresh: options.rfThresh,
+    devBand: options.devBand,
+    devThresh: options.devThresh,
+    subBand: options.subBand,
+    subThresh: options.subThresh,
+    mnBand: options.mnBand,
+    mnThresh: options.mnThresh,
+    k: options.k
+  };
+  var exportOptions = {
+    rules: ruleSettings,
+    cleanup: {
+      minPixels: Math.ceil(options.minPixels),
+      morph: options.morph,
+      morphRadius: Math.round(options.morphRadius),
+      gap: options.gap,
+      simplify: options.simplify
+    },
+    agreement: options.agreement,
+    records: {asset: options.recordsAsset, idProperty: options.recordsId, yearProperty: options.recordsYear},
+    exportSettings: {
+      destination: options.destination,
+      path: options.folder,
+      format: options.format,
+      rasters: options.rasters,
+      rasterScale: options.rasterScale,
+      rasterCrs: options.rasterCrs
+    },
+    tiles: null,
+    stitch: options.stitch,
+    roiName: 'roi'
+  };
+
+  var planYears = function() {
+    var plan = [];
+    parseYears(options.year).forEach(function(year) {
+      var yearRun = pipeline.runYear({
+        collection: collection,
+        roi: roi,
+        year: year,
+        classifier: classifier,
+        predictors: predictors,
+        window: searchWindow,
+        sensors: pipeline.observationSensors(collectionOptions),
+        masks: masks,
+        rules: ruleSettings
+      });
+      plan = plan.concat(pipeline.exportCandidates(yearRun, exportOptions));
+    });
+    callback(null, plan);
+  };
+
+  if(options.noTiles) {
+    planYears();
+    return;
+  }
+
+  // cell IDs are looked up once for all the years
+  exportOptions.tiles = pipeline.buildTiles(roi, options.tileCrs, options.tileSize * 1000, masks.shorelines);
+  exportOptions.tiles.aggregate_array('cell_id').evaluate(function(tileIds, error) {
+    if(error) {
+      callback('Could not list the export tiles: ' + error);
+      return;
+    }
+    var cells = options.cells.split(',').map(function(id) {
+      return id.trim();
+    }).filter(function(id) {
+      return id !== '';
+    });
+    var unknownIds = cells.filter(function(id) {
+      return tileIds.indexOf(id) === -1;
+    });
+    if(unknownIds.length > 0) {
+      callback('Unknown export cell IDs: ' + unknownIds.join(', '));
+      return;
+    }
+    exportOptions.tileIds = cells.length > 0 ? cells : tileIds;
+    planYears();
+  });
+};
+
+/*
+  Description: Describes the task plan, one line per export
+  Inputs:
+    -plan: list of {description, task} (buildPlan)
+    -options: options from parseArgs
+  Output: text of the plan
+*/
+var describePlan = function(plan, options) {
+  var lines = plan.map(function(queued) {
+    return '  ' + queued.description + '  ->  ' + options.destination + ':' + options.folder;
+  });
+  return plan.length + ' export tasks for ' + options.year + '\n' + lines.join('\n');
+};
+
+/*
+  Description: Starts the tasks of the plan one after the other
+  Inputs:
+    -plan: list of {description, task} (buildPlan)
+    -log: function(message)
+    -callback: function(error, started), started is a list of {description, id}
+*/
+var startTasks = function(plan, log, callback) {
+  var started = [];
+  var next = function(i) {
+    if(i >= plan.length) {
+      callback(null, started);
+      return;
+    }
+    plan[i].task.start(function() {
+      started.push({description: plan[i].description, id: plan[i].task.id});
+      log('started ' + plan[i].description + ' (' + plan[i].task.id + ')');
+      next(i + 1);
+    }, function(error) {
+      callback('Could not start ' + plan[i].description + ': ' + error, started);
+    });
+  };
+  next(0);
+};
+
+/*
+  Description: Polls the status of started tasks until they are all completed, failed or cancelled
+  Inputs:
+    -started: list of {description, id} (startTasks)
+    -interval: seconds between checks
+    -log: function(message), called on every change of state
+    -schedule: function(fn, ms) such as setTimeout
+    -callback: function(error, failed), failed is a list of {description, state, message}
+               (statuses are matched to the tasks by ID, a task without a status is still polled)
+*/
+var pollTasks = function(started, interval, log, schedule, callback) {
+  var states = {};
+  var check = function() {
+    ee.data.getTaskStatus(started.map(function(task) {
+      return task.id;
+    }), function(statuses, error) {
+      if(error) {
+        callback('Could not get the task status: ' + error);
+        return;
+      }
+      var byId = {};
+      statuses.forEach(function(status) {
+        byId[status.id] = status;
+      });
+      var current = started.map(function(task) {
+        return byId[task.id] || {id: task.id, state: 'UNKNOWN'};
+      });
+      var done = true;
+      current.forEach(function(status, i) {
+        if(states[status.id] !== status.state) {
+          states[status.id] = status.state;
+          log(started[i].description + ': ' + status.state + (status.error_message ? ' (' + status.error_message + ')' : ''));
+        }
+        done = done && finalStates.indexOf(status.state) !== -1;
+      });
+      if(!done) {
+        schedule(check, interval * 1000);
+        return;
+      }
+      callback(null, current.map(function(status, i) {
+        return {description: started[i].description, state: status.state, message: status.error_message || ''};
+      }).filter(function(status) {
+        return status.state !== 'COMPLETED';
+      }));
+    });
+  };
+  check();
+};
+
+/*
+  Description: Runs the CLI with an initialized ee client
+  Inputs:
+    -args: command line arguments
+    -deps: {ee: @google/earthengine (or a stub), readFile: function(path), log: function(message),
+            schedule: function(fn, ms)}
+    -callback: function(error, exitCode)
+*/
+var run = function(args, deps, callback) {
+  var parsed = parseArgs(args);
+  if(parsed.error !== null) {
+    callback(parsed.error + '\n' + usage(), 1);
+    return;
+  }
+  var options = parsed.options;
+  if(options.help) {
+    deps.log(usage());
+    callback(null, 0);
+    return;
+  }
+  if(options.sensorTC && options.trainingAsset === pipeline.defaultTrainingAsset) {
+    deps.log('warning: the default training points have legacy tasseled cap values, ' +
+             'dTCB / dTCG / dTCW with --sensor-tc are out of distribution');
+  }
+  pipeline.useClient(deps.ee);
+
+  var study = loadROI(options, deps.readFile);
+  if(study.error !== null) {
+    callback(study.error, 1);
+    return;
+  }
+  buildPlan(options, study.roi, function(error, plan) {
+    if(error) {
+      callback(error, 1);
+      return;
+    }
+    deps.log(describePlan(plan, options));
+    if(options.dryRun) {
+      callback(null, 0);
+      return;
+    }
+    startTasks(plan, deps.log, function(error, started) {
+      if(error) {
+        callback(error, 1);
+        return;
+      }
+      if(options.noWait) {
+        callback(null, 0);
+        return;
+      }
+      pollTasks(started, options.poll, deps.log, deps.schedule, function(error, failed) {
+        if(error) {
+          callback(error, 1);
+          return;
+        }
+        deps.log(failed.length === 0 ? 'all ' + started.length + ' tasks completed' :
+                 failed.length + ' of ' + started.length + ' tasks did not complete');
+        callback(null, failed.length === 0 ? 0 : 1);
+      });
+    });
+  });
+};
+
+
+exports.optionSpecs = optionSpecs;
+exports.usage = usage;
+exports.parseArgs = parseArgs;
+exports.validateOptions = validateOptions;
+exports.parseYears = parseYears;
+exports.loadROI = loadROI;
+exports.buildPlan = buildPlan;
+exports.describePlan = describePlan;
+exports.startTasks = startTasks;
+exports.pollTasks = pollTasks;
+exports.run = run;
+
+
+if(typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  var fs = require('fs');
+  var args = process.argv.slice(2);
+  var parsed = parseArgs(args);
+  var keyPath = parsed.options.key || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  var finish = function(error, exitCode) {
+    if(error) {
+      console.error(error);
+    }
+    process.exit(exitCode);
+  };
+  var deps = {
+    ee: null,
+    readFile: function(path) {
+      return fs.readFileSync(path, 'utf8');
+    },
+    log: function(message) {
+      console.log(message);
+    },
+    schedule: setTimeout
+  };
+
+  // errors and --help don't need the ee client
+  if(parsed.error !== null || parsed.options.help) {
+    run(args, deps, finish);
+  }
+  else if(!keyPath) {
+    finish('Pass a service account key with --key (or set GOOGLE_APPLICATION_CREDENTIALS)', 1);
+  }
+  else {
+    deps.ee = require('@google/earthengine');
+    deps.ee.data.authenticateViaPrivateKey(JSON.parse(fs.readFileSync(keyPath, 'utf8')), function() {
+      deps.ee.initialize(null, null, function() {
+        run(args, deps, finish);
+      }, function(error) {
+        finish('Could not initialize Earth Engine: ' + error, 1);
+      }, null, parsed.options.project);
+    }, function(error) {
+      finish('Could not authenticate: ' + error, 1);
+    });
+  }
+}
@@ -0,0 +1,1937 @@
+/**
+ * Candidate tundra fire pipeline of candidate_fire_vector_export_code.js as an importable module:
+ * Landsat (and optional Sentinel-2) collections, seasonal composites, RF burn probability,
+ * the four candidate rules, polygon cleanup and the candidate exports. The panel app is a client of it.
+ *
+ * usage (Code Editor):
+ *   var pipeline = require('users/mghethcoat/tundraFire:Scripts/tundra_fire_pipeline');
+ * usage (Node, with an initialized @google/earthengine client):
+ *   var pipeline = require('./tundra_fire_pipeline.js');
+ *   pipeline.useClient(require('@google/earthengine'));
+ * scheduled runs from the command line: tundra_fire_cli.js
+ *
+ * a typical year of analysis:
+ *   var roi = ee.FeatureCollection(pipeline.defaultROIAsset);
+ *   var collection = pipeline.buildLandsatCollection(roi);
+ *   var classifier = pipeline.trainClassifier(ee.FeatureCollection(pipeline.defaultTrainingAsset));
+ *   var yearRun = pipeline.runYear({collection: collection, roi: roi, year: 2019, classifier: classifier});
+ *   var candidates = pipeline.candidateMask(yearRun.rules, 4, roi);
+ *   var tiles = pipeline.buildTiles(roi, 'EPSG:4326', 1e6, pipeline.landMasks(roi).shorelines);
+ *   var tasks = pipeline.exportCandidates(yearRun, {tiles: tiles});
+ *
+ *  PLEASE CITE THE FOLLOWING PAPER:
+ *  Hethcoat et al. 2024. Unrecorded tundra fires in Canada 1986–2022. Remote Sensing
+ */
+
+
+
+
+/*
+  Description: Sets the Earth Engine client used in Node (the Code Editor provides ee as a global)
+  Inputs:
+    -client: require('@google/earthengine') after authentication and ee.initialize,
+             or a stub with the same API
+*/
+var useClient = function(client) {
+  global.ee = client;
+};
+
+/*
+  Description: Export functions of the environment, Export in the Code Editor (queues the tasks)
+               and ee.batch.Export in Node (tasks have to be started)
+  Output: object with the table, image and classifier export functions
+*/
+var exportApi = function() {
+  return typeof Export !== 'undefined' ? Export : ee.batch.Export;
+};
+
+// default study area (northern ecozones, true tundra) and training points of the paper
+var defaultROIAsset = 'users/mghethcoat/NRCan/northernEcozones_trueTundraSUB';
+var defaultTrainingAsset = 'users/mghethcoat/NRCan/Luka_POINT_DATA';
+
+// pixel size (meters) of the candidate polygons and rule layers
+var defaultScale = 60;
+
+/*
+  Description: Checks that parsed JSON is a GeoJSON study area (roiFromGeoJSON)
+  Inputs:
+    -geojson: parsed JSON
+  Output: error message, or null for a FeatureCollection, Feature or geometry with Polygon / MultiPolygon areas
+*/
+var geoJSONError = function(geojson) {
+  var areaError = function(geometry) {
+    if(geometry === null || typeof geometry !== 'object' || ['Polygon', 'MultiPolygon'].indexOf(geometry.type) === -1) {
+      return 'GeoJSON geometries must be Polygon or MultiPolygon';
+    }
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 ? null :
+      'GeoJSON ' + geometry.type + ' has no coordinates';
+  };
+  if(geojson === null || typeof geojson !== 'object' || Array.isArray(geojson)) {
+    return 'Not a GeoJSON object';
+  }
+  if(geojson.type === 'FeatureCollection') {
+    if(!Array.isArray(geojson.features) || geojson.features.length === 0) {
+      return 'GeoJSON FeatureCollection has no features';
+    }
+    return geojson.features.map(function(feature) {
+      return feature !== null && typeof feature === 'object' && feature.type === 'Feature' ?
+        areaError(feature.geometry) : 'GeoJSON FeatureCollection members must be Features';
+    }).filter(function(error) {
+      return error !== null;
+    })[0] || null;
+  }
+  if(geojson.type === 'Feature') {
+    return areaError(geojson.geometry);
+  }
+  if(['Polygon', 'MultiPolygon'].indexOf(geojson.type) === -1) {
+    return 'GeoJSON type must be FeatureCollection, Feature, Polygon or MultiPolygon';
+  }
+  return areaError(geojson);
+};
+
+/*
+  Description: Study area from GeoJSON (pasted in the panel or read from a file by the CLI)
+  Inputs:
+    -geojson: parsed GeoJSON FeatureCollection, Feature or geometry (checked with geoJSONError)
+  Output: FeatureCollection of the study area
+*/
+var roiFromGeoJSON = function(geojson) {
+  if(geojson.type === 'FeatureCollection') {
+    return ee.FeatureCollection(geojson.features.map(function(feature) {
+      return ee.Feature(feature);
+    }));
+  }
+  if(geojson.type === 'Feature') {
+    return ee.FeatureCollection([ee.Feature(geojson)]);
+  }
+  return ee.FeatureCollection([ee.Feature(ee.Geometry(geojson), {})]);
+};
+
+
+
+// ------------------------------------------ spectral index registry -----------------------------------------
+
+// reflectance bands every sensor is renamed to (ls89Rename / ls457Rename / sent2Rename)
+var reflectanceBands = ['blue', 'green', 'red', 'nir', 'sswir', 'lswir'];
+
+/*
+  Spectral index registry: the per-scene indices, the pre_/post_ composite bands and the differenced
+  predictors are all generated from it (see computeIndices and deltaIndices), custom indices are
+  added to it from the panel (registerIndex)
+    -name: band name of the index (lower case)
+    -formula: ee.Image.expression over the reflectance bands
+    -bands: reflectance bands used by the formula
+    -normalizedDifference: true to compute it with normalizedDifference(bands) instead of the formula
+    -compute: function(img, legacyTC) used instead of the formula (tasseled cap)
+    -delta: name of the differenced index (pre - post) * deltaScale, stored as an integer
+    -relative: names of the RBR / RdNBR style relative forms of the differenced index
+    -link: reference of the formula
+  spectral_indices.js is a plain-JS reference of these formulas, check it is still in sync after
+  editing the registry or tasseledCapCoefs with: node spectral_indices.js --check
+*/
+var indexRegistry = [
+  {name: 'nbr', formula: '(nir - lswir) / (nir + lswir)', bands: ['nir', 'lswir'], normalizedDifference: true,
+   delta: 'dNBR', deltaScale: 1000, relative: {rbr: 'RBR', rdnbr: 'RdNBR'},
+   link: 'https://www.usgs.gov/landsat-missions/landsat-normalized-burn-ratio ' +
+         '(RBR https://doi.org/10.3390/rs6031827, RdNBR https://doi.org/10.1016/j.rse.2006.12.006)'},
+  {name: 'nbr2', formula: '(sswir - lswir) / (sswir + lswir)', bands: ['sswir', 'lswir'], normalizedDifference: true,
+   delta: 'dNBR2', deltaScale: 1000,
+   link: 'https://www.usgs.gov/landsat-missions/landsat-normalized-burn-ratio-2'},
+  {name: 'ndvi', formula: '(nir - red) / (nir + red)', bands: ['nir', 'red'], normalizedDifference: true,
+   delta: 'dNDVI', deltaScale: 1000,
+   link: 'https://ntrs.nasa.gov/citations/19740022614'},
+  {name: 'ndmi', formula: '(nir - sswir) / (nir + sswir)', bands: ['nir', 'sswir'], normalizedDifference: true,
+   delta: 'dNDMI', deltaScale: 1000,
+   link: 'https://doi.org/10.1016/S0034-4257(96)00067-3'},
+  {name: 'ndwi', formula: '(green - nir) / (green + nir)', bands: ['green', 'nir'], normalizedDifference: true,
+   delta: 'dNDWI', deltaScale: 1000,
+   link: 'https://doi.org/10.1080/01431169608948714'},
+  {name: 'evi', formula: '(2.5 * ((nir - red) / (nir + (6 * red) - (7.5 * blue) + 1)))', bands: ['nir', 'red', 'blue'],
+   delta: 'dEVI', deltaScale: 1000,
+   link: 'https://www.sciencedirect.com/science/article/pii/S0034425702000962 (Equation 2)'},
+  {name: 'mirbi', formula: '((10 * lswir) - (9.8 * sswir) + 2)', bands: ['lswir', 'sswir'],
+   delta: 'dMIRBI', deltaScale: 1000,
+   link: 'https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)'},
+  {name: 'bai', formula: '1/((0.1 - red)**2 + (0.06 - nir)**2)', bands: ['red', 'nir'],
+   delta: 'dBAI', deltaScale: 1,
+   link: 'https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)'},
+  {name: 'baims', formula: '1/((nir - 0.05 * nir)**2 + (sswir - 0.2 * sswir)**2)', bands: ['nir', 'sswir'],
+   delta: 'dBAIMs', deltaScale: 10,
+   link: 'https://www.mdpi.com/2072-4292/10/8/1196 (Table 2)'},
+  {name: 'csi', formula: 'nir / sswir', bands: ['nir', 'sswir'],
+   delta: 'dCSI', deltaScale: 1000,
+   link: 'https://www.publish.csiro.au/wf/WF17069 (Table 2)'},
+  {name: 'bsi', formula: '((red + sswir) - (nir + blue)) / ((red + sswir) + (nir + blue))', bands: ['red', 'sswir', 'nir', 'blue'],
+   delta: 'dBSI', deltaScale: 1000,
+   link: 'https://www.mdpi.com/2073-445X/10/3/231 (Table 1)'},
+  {name: 'msavi', formula: '(2 * nir + 1 - sqrt((2 * nir + 1) ** 2 - 8 * (nir - red))) / 2', bands: ['nir', 'red'],
+   delta: 'dMSAVI', deltaScale: 1000,
+   link: 'https://www.sciencedirect.com/science/article/pii/0034425794901341 (Equation 19)'},
+  {name: 'tcb', formula: 'tasseled cap brightness (sensor coefficients, tasseledCapCoefs)', bands: reflectanceBands,
+   compute: function(img, legacyTC) { return getTCB(img, legacyTC); },
+   delta: 'dTCB', deltaScale: 100,
+   link: 'see tasseledCapCoefs'},
+  {name: 'tcg', formula: 'tasseled cap greenness (sensor coefficients, tasseledCapCoefs)', bands: reflectanceBands,
+   compute: function(img, legacyTC) { return getTCG(img, legacyTC); },
+   delta: 'dTCG', deltaScale: 100,
+   link: 'see tasseledCapCoefs'},
+  {name: 'tcw', formula: 'tasseled cap wetness (sensor coefficients, tasseledCapCoefs)', bands: reflectanceBands,
+   compute: function(img, legacyTC) { return getTCW(img, legacyTC); },
+   delta: 'dTCW', deltaScale: 100,
+   link: 'see tasseledCapCoefs'}
+];
+
+// differenced predictors (relative forms first) and per-scene index names, kept in step with the registry
+var allVars = [];
+var allVariables = [];
+indexRegistry.forEach(function(entry) {
+  if(entry.relative) {
+    allVars.push(entry.relative.rbr, entry.relative.rdnbr);
+  }
+});
+indexRegistry.forEach(function(entry) {
+  allVars.push(entry.delta);
+  allVariables.push(entry.name);
+});
+
+// default predictors, the panel lets the user pick any subset of allVars
+var predictorVariables = [ 'dNBR2', 'dTCG', 'dTCB' ];
+
+/*
+  Description: Computes one registered index of a reflectance image
+  Inputs:
+    -img: image with the reflectance bands (reflectanceBands) and a SENSOR property
+    -entry: indexRegistry entry
+    -legacyTC: true for the legacy tasseled cap coefficients
+  Output: single float band named after the index
+*/
+var indexImage = function(img, entry, legacyTC) {
+  if(entry.compute) {
+    return entry.compute(img, legacyTC).toFloat().rename(entry.name);
+  }
+  if(entry.normalizedDifference === true) {
+    return img.normalizedDifference(entry.bands).toFloat().rename(entry.name);
+  }
+  var variables = {};
+  entry.bands.forEach(function(band) {
+    variables[band] = img.select(band);
+  });
+  return img.expression(entry.formula, variables).toFloat().rename(entry.name);
+};
+
+/*
+  Description: Computes every registered index of a reflectance image
+  Inputs:
+    -img: image with the reflectance bands, qa_pixel and a SENSOR property
+    -legacyTC: true for the legacy tasseled cap coefficients
+  Output: image with one band per index (allVariables) and qa_pixel
+*/
+var computeIndices = function(img, legacyTC) {
+  var indices = indexRegistry.map(function(entry) {
+    return indexImage(img, entry, legacyTC);
+  });
+  return ee.Image.cat(indices).addBands(img.select('qa_pixel'))
+           .copyProperties(img, ['system:time_start', 'SENSOR']);
+};
+
+/*
+  Description: Differenced and relative indices of a pre-/post-fire composite
+  Inputs:
+    -fireIndices: image with the pre_<name> and post_<name> bands of every registered index
+  Output: fireIndices with the (pre - post) * deltaScale integer band of every index and the relative forms
+          RBR = delta / (pre + 1.001) and RdNBR = delta / sqrt(|pre|) (|pre| floored at 0.001),
+          all named in lower case (dnbr, rbr, rdnbr, dndvi, ...)
+*/
+var deltaIndices = function(fireIndices) {
+  var result = fireIndices;
+  indexRegistry.forEach(function(entry) {
+    var pre = fireIndices.select('pre_' + entry.name);
+    var delta = pre.subtract(fireIndices.select('post_' + entry.name))
+                   .multiply(entry.deltaScale).toInt().rename(entry.delta.toLowerCase());
+    result = result.addBands(delta);
+
+    if(entry.relative) {
+      result = result.addBands(delta.divide(pre.add(1.001)).toInt().rename(entry.relative.rbr.toLowerCase()))
+                     .addBands(delta.divide(pre.abs().max(0.001).sqrt()).toInt().rename(entry.relative.rdnbr.toLowerCase()));
+    }
+  });
+  return result;
+};
+
+// functions allowed in the formula of a custom index (anything else has to be a reflectance band)
+var formulaFunctions = ['abs', 'sqrt', 'exp', 'log', 'log10', 'min', 'max', 'pow', 'cos', 'sin', 'tan'];
+
+/*
+  Description: Adds a custom index to the registry (allVariables) and its differenced forms to allVars
+  Inputs:
+    -name: index name (lower case letters and digits)
+    -formula: expression over the reflectance bands (blue, green, red, nir, sswir, lswir)
+    -deltaScale: scale factor of the differenced index
+    -relative: true to also generate the RBR / RdNBR style relative forms
+  Output: error message, or null when the index was registered
+*/
+var registerIndex = function(name, formula, deltaScale, relative) {
+  if(!/^[a-z][a-z0-9]*$/.test(name) || allVariables.indexOf(name) !== -1) {
+    return 'Index name must be new and use lower case letters and digits';
+  }
+  if(isNaN(deltaScale) || deltaScale <= 0) {
+    return 'Delta scale must be a positive number';
+  }
+  // numeric literals (1e-3, 2.5E2) are left out, their exponent isn't a name
+  var literals = /(^|[^A-Za-z0-9_.])(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/g;
+  var names = formula.replace(literals, '$1 ').match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
+  var unknown = names.filter(function(word) {
+    return reflectanceBands.indexOf(word) === -1 && formulaFunctions.indexOf(word) === -1;
+  });
+  var bands = reflectanceBands.filter(function(band) {
+    return names.indexOf(band) !== -1;
+  });
+  if(bands.length === 0 || unknown.length > 0) {
+    return 'Formula can only use ' + reflectanceBands.join(', ') + ' and ' + formulaFunctions.join(', ') +
+           (unknown.length > 0 ? ' (unknown: ' + unknown.join(', ') + ')' : '');
+  }
+
+  var entry = {name: name, formula: formula, bands: bands, delta: 'd' + name.toUpperCase(), deltaScale: deltaScale,
+               link: 'custom (panel)'};
+  if(relative === true) {
+    entry.relative = {rbr: 'RB' + name.toUpperCase(), rdnbr: 'Rd' + name.toUpperCase()};
+  }
+  indexRegistry.push(entry);
+  allVariables.push(name);
+  allVars.push(entry.delta);
+  if(relative === true) {
+    allVars.push(entry.relative.rbr, entry.relative.rdnbr);
+  }
+  return null;
+};
+
+
+
+// ---------------------------------------- tasseled cap and harmonization ----------------------------------------
+
+// - links to different papers tasselled cap greeness/wetness/brightness coeffcients
+
+// 1. https://www.researchgate.net/publication/237614492_Derivation_of_a_Tasseled_Cap_Transformation_Based_On_Landsat_7_At-Satellite_Reflectance
+// 2. https://yceo.yale.edu/tasseled-cap-transform-landsat-8-oli
+// 3. https://journals.plos.org/plosone/article?id=10.1371/journal.pone.0147121#pone.0147121.s001
+// 4. https://doi.org/10.1016/0034-4257(85)90102-6
+
+// coefficients of blue, green, red, nir, sswir, lswir for each sensor
+// the legacy set (paper 3, Crist & Cicone '84) was applied to all sensors in earlier versions
+var tasseledCapCoefs = {
+  legacy: {
+    tcb: [0.3037, 0.2793, 0.4743, 0.5585, 0.5082, 0.1863],
+    tcg: [-0.2848, -0.2435, -0.5436, 0.7243, 0.0840, -0.1800],
+    tcw: [0.1509, 0.1973, 0.3279, 0.3406, -0.7112, -0.4572]
+  },
+  // Landsat 4/5 TM reflectance factor (Crist 1985, paper 4)
+  TM: {
+    tcb: [0.2043, 0.4158, 0.5524, 0.5741, 0.3124, 0.2303],
+    tcg: [-0.1603, -0.2819, -0.4934, 0.7940, -0.0002, -0.1446],
+    tcw: [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109]
+  },
+  // Landsat 7 ETM+ (Huang et al. 2002, paper 1)
+  ETM: {
+    tcb: [0.3561, 0.3972, 0.3904, 0.6966, 0.2286, 0.1596],
+    tcg: [-0.3344, -0.3544, -0.4556, 0.6966, -0.0242, -0.2630],
+    tcw: [0.2626, 0.2141, 0.0926, 0.0656, -0.7629, -0.5388]
+  },
+  // Landsat 8/9 OLI (Baig et al. 2014, paper 2)
+  OLI: {
+    tcb: [0.3029, 0.2786, 0.4733, 0.5599, 0.5080, 0.1872],
+    tcg: [-0.2941, -0.2430, -0.5424, 0.7276, 0.0713, -0.1608],
+    tcw: [0.1511, 0.1973, 0.3283, 0.3407, -0.7117, -0.4559]
+  }
+};
+
+// Sentinel-2 (MSI) reflectance is adjusted to OLI before the indices
+tasseledCapCoefs.MSI = tasseledCapCoefs.OLI;
+
+// sensor of each Landsat spacecraft, set as the SENSOR property by ls457Rename / ls89Rename
+var landsatSensors = {LANDSAT_4: 'TM', LANDSAT_5: 'TM', LANDSAT_7: 'ETM', LANDSAT_8: 'OLI', LANDSAT_9: 'OLI'};
+
+// Roy et al. 2016 surface reflectance transforms (Table 2), https://doi.org/10.1016/j.rse.2015.12.024
+// slopes and intercepts of blue, green, red, nir, sswir, lswir, applied to the listed sensors
+// (TM is treated as ETM+), target is the sensor whose reflectance (and tasseled cap) they end up in
+var harmonizationSets = {
+  roy2016_etm_oli_ols: {
+    sensors: ['TM', 'ETM'],
+    target: 'OLI',
+    slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+    intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+  },
+  roy2016_etm_oli_rma: {
+    sensors: ['TM', 'ETM'],
+    target: 'OLI',
+    slopes: [0.9785, 0.9542, 0.9825, 1.0073, 1.0171, 0.9949],
+    intercepts: [-0.0095, -0.0016, -0.0022, -0.0021, -0.0030, 0.0029]
+  },
+  roy2016_oli_etm_ols: {
+    sensors: ['OLI'],
+    target: 'ETM',
+    slopes: [0.8850, 0.9317, 0.9372, 0.8339, 0.8639, 0.9165],
+    intercepts: [0.0183, 0.0123, 0.0123, 0.0448, 0.0306, 0.0116]
+  }
+};
+
+/*
+  Description: Harmonizes the reflectance of a Landsat collection to the other sensor family
+  Inputs:
+    -col: collection of renamed landsat images (blue, green, red, nir, sswir, lswir, qa_pixel)
+    -sensor: 'TM', 'ETM' or 'OLI', sensor of the collection
+    -setName: key of harmonizationSets, or 'none'
+  Output: collection with transformed reflectance bands and the target sensor as TC_SENSOR
+          (unchanged if the set does not apply to the sensor)
+*/
+var harmonizeCollection = function(col, sensor, setName) {
+  var coefs = harmonizationSets[setName];
+  if(coefs === undefined || coefs.sensors.indexOf(sensor) === -1) {
+    return col;
+  }
+  var bands = ['blue', 'green', 'red', 'nir', 'sswir', 'lswir'];
+  return col.map(function(img) {
+    var harmonized = img.select(bands)
+                        .multiply(ee.Image.constant(coefs.slopes))
+                        .add(ee.Image.constant(coefs.intercepts))
+                        .rename(bands).toFloat();
+    // SENSOR stays the acquiring sensor (observation counts), the tasseled cap follows the reflectance
+    return img.addBands(harmonized, null, true).set('TC_SENSOR', coefs.target);
+  });
+};
+
+/*
+  Description: Calculate a Tasselled Cap Index with the coefficients of the image's sensor
+               (TC_SENSOR of harmonized images, SENSOR otherwise)
+  Inputs:
+    -img: landsat img with blue, green, red, nir, sswir, lswir bands and a SENSOR property
+    -component: 'tcb', 'tcg' or 'tcw'
+    -legacy: true to use the Crist & Cicone '84 coefficients whatever the sensor
+  Output: image with the Tasselled Cap band named after the component
+*/
+var getTasseledCap = function(img, component, legacy) {
+  var sensor = legacy === true ? 'legacy' :
+    ee.Algorithms.If(img.propertyNames().contains('TC_SENSOR'), img.get('TC_SENSOR'), img.get('SENSOR'));
+  var coefs = ee.Dictionary(ee.Dictionary(tasseledCapCoefs).get(sensor)).get(component);
+  var result = img.select(['blue', 'green', 'red', 'nir', 'sswir', 'lswir'])
+                  .multiply(ee.Image.constant(ee.List(coefs)))
+                  .reduce(ee.Reducer.sum()).toFloat();
+  return ee.Image(result).select([0], [component]);
+};
+
+/*
+  Description: Calculate Tasselled Cap Brightness, Greenness and Wetness
+  Inputs:
+    -img: landsat img (see getTasseledCap)
+    -legacy: true to use the Crist & Cicone '84 coefficients for every sensor
+  Output: image with the tcb, tcg or tcw band
+*/
+var getTCB = function(img, legacy) {
+  return getTasseledCap(img, 'tcb', legacy);
+};
+var getTCG = function(img, legacy) {
+  return getTasseledCap(img, 'tcg', legacy);
+};
+var getTCW = function(img, legacy) {
+  return getTasseledCap(img, 'tcw', legacy);
+};
+
+
+
+// ------------------------------------------------ search window ------------------------------------------------
+
+/*
+  Description: Checks a MM-DD search window date (e.g. '06-15')
+  Inputs:
+    -monthDay: string such as the one typed into the search window textbox of the panel
+  Output: true if the string is a valid month and day (02-29 is refused, it doesn't exist in most years)
+*/
+var isMonthDay = function(monthDay) {
+  var match = /^(\d{2})-(\d{2})$/.exec(monthDay);
+  if(match === null) {
+    return false;
+  }
+  var month = parseInt(match[1], 10);
+  var day = parseInt(match[2], 10);
+  var monthDays = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return month >= 1 && month <= 12 && day >= 1 && day <= monthDays[month - 1];
+};
+
+
+
+// outer limits of the search window when using the snow-free adaptive mode,
+// the MODIS snow-free season then narrows this window pixel by pixel
+var adaptiveStart = '05-01';
+var adaptiveEnd = '10-15';
+
+/*
+  Description: Derive the snow-free season from MODIS 8-day snow cover (MOD10A2)
+               MODIS only starts in 2000 so a 2001-2023 climatology is used, this
+               keeps the window the same for every year of analysis (1985 - 2023)
+  Inputs:
+    -region: ROI used to filter and clip the snow cover data
+  Output: image with 'start' and 'end' bands (day of year) of the median snow-free season
+*/
+var getSnowFreeWindow = function(region) {
+  var snowCover = ee.ImageCollection('MODIS/061/MOD10A2')
+                    .filterDate('2001-01-01', '2024-01-01')
+                    .filter(ee.Filter.calendarRange(60, 330, 'day_of_year'));
+
+  // day of year of each 8-day composite, masked where snow was seen (25 = no snow)
+  var snowFreeDays = snowCover.map(function(img) {
+    var date = ee.Date(img.get('system:time_start'));
+    return ee.Image.constant(date.getRelative('day', 'year').add(1)).toInt16().rename('doy')
+             .updateMask(img.select('Maximum_Snow_Extent').eq(25))
+             .set('year', date.get('year'));
+  });
+
+  // first and last snow-free composite of each year (+7 days to cover the whole composite)
+  var annualWindows = ee.ImageCollection.fromImages(
+    ee.List.sequence(2001, 2023).map(function(year) {
+      var yearDays = snowFreeDays.filter(ee.Filter.eq('year', year));
+      return yearDays.min().rename('start')
+               .addBands(yearDays.max().add(7).rename('end'));
+    }));
+
+  return annualWindows.median().toInt16().clip(region);
+};
+
+/*
+  Description: Masks pixels of an image acquired outside the local snow-free season
+  Inputs:
+    -img: landsat img (with system:time_start)
+    -snowFreeWindow: image with 'start' and 'end' day of year bands (getSnowFreeWindow)
+  Output: image masked outside the snow-free season
+*/
+var maskSnowSeason = function(img, snowFreeWindow) {
+  var doy = ee.Date(img.get('system:time_start')).getRelative('day', 'year').add(1);
+  var inSeason = snowFreeWindow.select('start').lte(doy)
+                   .and(snowFreeWindow.select('end').gte(doy));
+  return img.updateMask(inSeason).copyProperties(img, ['system:time_start']);
+};
+
+// search window of the panel, snowFree is an image from getSnowFreeWindow (adaptive mode) or null
+var defaultWindow = {start: '06-15', end: '09-01', snowFree: null};
+
+/*
+  Description: Images of the search window of a year shifted by yearOffset years (pre/post-fire and
+               Tm1-Tm3 baselines), narrowed to the local snow-free season when the adaptive mode is used
+  Inputs:
+    -col: image collection
+    -year: year of analysis
+    -searchWindow: {start: 'MM-DD', end: 'MM-DD', snowFree: image or null} (defaultWindow)
+    -yearOffset: years added to the window
+  Output: filtered (and snow-season masked) collection
+*/
+var seasonFilter = function(col, year, searchWindow, yearOffset) {
+  var startDate = ee.Date(year + '-' + searchWindow.start).advance(yearOffset, 'years');
+  var endDate = ee.Date(year + '-' + searchWindow.end).advance(yearOffset, 'years');
+  var seasonCol = col.filterDate(startDate, endDate);
+  if(searchWindow.snowFree) {
+    seasonCol = seasonCol.map(function(img) {
+      return maskSnowSeason(img, searchWindow.snowFree);
+    });
+  }
+  return seasonCol;
+};
+
+
+
+// ----------------------------------------- Landsat / Sentinel-2 collections -----------------------------------------
+
+
+/*
+Credit to:
+https://code.earthengine.google.com/b4fb68fb7f8f883595dbe165ff82e0d9
+https://code.earthengine.google.com/?scriptPath=users%2Flisamholsinger%2Fboreal_hybrid_severity%3Amanuscript
+*/
+
+// options of buildLandsatCollection (all panel defaults)
+//   -legacyTC: true for the legacy tasseled cap coefficients on every sensor (the default training points use them)
+//   -harmonization: key of harmonizationSets, or 'none'
+//   -sentinel2: true to add the HLS-adjusted Sentinel-2 images
+//   -s2Mask: 'scl' (scene classification) or 'probability' (s2cloudless) Sentinel-2 cloud mask
+var defaultCollectionOptions = {legacyTC: true, harmonization: 'none', sentinel2: false, s2Mask: 'scl'};
+
+// Conversion constants as specified by the dataset
+var scale = 0.0000275;
+var offset = -0.2;
+
+/*
+  Description: Renames Landsat 8/9 bands for easier translation from band description to band name
+  Input: lsImage: landsat image
+  Output: landsat image with reflectanceBands and qa_pixel and a SENSOR property
+*/
+var ls89Rename = function(lsImage) {
+  var sub = lsImage.select(['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7', 'QA_PIXEL'])
+    .rename(['blue', 'green', 'red', 'nir', 'sswir', 'lswir', 'qa_pixel']);
+
+  return ee.Image(sub.copyProperties(lsImage, ['system:time_start', 'SPACECRAFT_ID']))
+           .set('SENSOR', ee.Dictionary(landsatSensors).get(lsImage.get('SPACECRAFT_ID')));
+};
+
+/*
+  Description: Converts landsat band value to proper scale and offset as described by dataset
+  Input: lsImage: landsat image
+  Output: landsat image with its band values adjusted
+*/
+var convertBandsls89 = function(lsImage) {
+  var qa = lsImage.select('QA_PIXEL');
+  var bands = lsImage.select('SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7')
+                  .multiply(scale).add(offset).toFloat();
+  return bands.addBands(qa).copyProperties(lsImage, ['system:time_start', 'SPACECRAFT_ID']);
+};
+
+/*
+  Description: Renames Landsat 4/5/7 bands for easier translation from band description to band name
+  Input: lsImage: landsat image
+  Output: landsat image with reflectanceBands and qa_pixel and a SENSOR property
+*/
+var ls457Rename = function(lsImage) {
+  var sub = lsImage.select( ['SR_B1','SR_B2','SR_B3','SR_B4','SR_B5','SR_B7','QA_PIXEL'])
+    .rename(['blue','green','red','nir','sswir','lswir', 'qa_pixel']);
+
+  return ee.Image(sub.copyProperties(lsImage, ['system:time_start', 'SPACECRAFT_ID']))
+           .set('SENSOR', ee.Dictionary(landsatSensors).get(lsImage.get('SPACECRAFT_ID')));
+};
+
+/*
+  Description: Converts landsat band value to proper scale and offset as described by dataset
+  Input: lsImage: landsat image
+  Output: landsat image with its band values adjusted
+*/
+var convertBandsls457 = function(lsImage) {
+  var qa = lsImage.select('QA_PIXEL');
+  var bands = lsImage.select('SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7')
+                  .multiply(scale).add(offset).toFloat();
+  return bands.addBands(qa).copyProperties(lsImage, ['system:time_start', 'SPACECRAFT_ID']);
+};
+
+/*
+  Description: Low quality pixels of the qa_pixel band (clouds, dilated clouds, shadow, water and snow)
+  Input: quality: qa_pixel band
+         withConfidence: true to also flag medium/high cloud confidence (L7 after the SLC failure)
+  Output: mask image (1 low quality)
+*/
+var lowQuality = function(quality, withConfidence) {
+  var dilatedCloud = (1 << 1);
+  var cloud = (1 << 3);
+  var cloudShadow = (1 << 4);
+  var water = (1 << 7);
+  var snow = (1 << 5);
+  // Cloud confidence is comprised of bits 8-9.
+  // Add the two bits and interpolate them to a range from 0-3.
+  // 0 = None, 1 = Low, 2 = Medium, 3 = High.
+  var cloudConfidence = quality.bitwiseAnd(128)
+      .add(quality.bitwiseAnd(256))
+      .interpolate([0, 129, 257, 384], [0, 1, 2, 3], 'clamp').int();
+  var cloudConfidenceMedHigh = cloudConfidence.gte(2);
+
+  var mask = quality.bitwiseAnd(cloud)
+      .or(quality.bitwiseAnd(dilatedCloud))
+      .or(quality.bitwiseAnd(cloudShadow))
+      .or(quality.bitwiseAnd(water))
+      .or(quality.bitwiseAnd(snow));
+  return withConfidence === true ? mask.or(cloudConfidenceMedHigh) : mask;
+};
+
+/*
+  Description: Masks landsat image pixels that are low quality (New Landsat collections)
+  Input: lsImg: landsat image
+  Output: landsat image with masked pixels based on the landsat pixel_qa band
+*/
+var lsMaskNew = function(lsImg) {
+  var clear = lowQuality(lsImg.select(['qa_pixel']), false).not();
+  return lsImg.updateMask(clear).select(allVariables).copyProperties(lsImg, ['system:time_start', 'SENSOR']);
+};
+
+/*
+  Description: Masks Landsat 7 pixels after the SLC failure, also dropping medium/high cloud confidence
+  Input: lsImg: landsat image
+  Output: landsat image with masked pixels based on the landsat pixel_qa band
+*/
+var SLC_lsMask = function(lsImg) {
+  var clear = lowQuality(lsImg.select(['qa_pixel']), true).not();
+  // shaving some extra pixels off the clear image to remove sketchy data from bad L7 period
+  //var clearBuff = clear.focal_min(300, "square", "meters", 1)
+
+  return lsImg.updateMask(clear).select(allVariables)
+            .copyProperties(lsImg, ['system:time_start', 'SENSOR']);
+};
+
+
+// S2 was removed b/c the model predictions were not consistent with the old coefficients,
+// it is back as an optional source adjusted to Landsat 8 OLI as in HLS
+
+/*
+  -links to different papers sentinel2 to landsat conversion equations:
+
+  1. https://www.mdpi.com/2072-4292/12/2/281
+  2. https://ieeexplore.ieee.org/document/9762921
+  3. https://hls.gsfc.nasa.gov/wp-content/uploads/2017/03/HLS.v1.2.UserGuide.pdf
+  4. https://lpdaac.usgs.gov/documents/1698/HLS_User_Guide_V2.pdf
+
+  currently using paper 4's MSI to OLI bandpass adjustment (reflectance units), one set per spacecraft
+  (SPACECRAFT_NAME), Sentinel-2C has no published set yet and uses the Sentinel-2A one
+*/
+var senAdjustment = {
+  'Sentinel-2A': {
+    slopes: [0.9778, 1.0053, 0.9765, 0.9983, 0.9987, 1.0030],
+    intercepts: [-0.0040, -0.0009, 0.0009, -0.0001, -0.0011, -0.0012]
+  },
+  'Sentinel-2B': {
+    slopes: [0.9778, 1.0075, 0.9761, 0.9966, 1.0000, 0.9867],
+    intercepts: [-0.0040, -0.0008, 0.0010, 0.0000, -0.0003, 0.0004]
+  }
+};
+
+// Conversion constants as specified by the dataset
+var scale_sen = 0.0001;
+
+// s2cloudless probability (%) above which a pixel is cloud
+var s2CloudProbability = 40;
+
+/*
+  Description: Renames Sentinel-2 bands for easier translation from band description to band name
+               (narrow NIR B8A, as in HLS)
+  Input: senImage: sentinel2 image
+  Output: sentinel2 image with reflectanceBands and qa_pixel and SENSOR 'MSI'
+*/
+var sent2Rename = function(senImage) {
+  var sub = senImage.select(['B2','B3','B4','B8A','B11','B12','qa_pixel'])
+        .rename(['blue','green','red','nir','sswir','lswir', 'qa_pixel']);
+
+  return ee.Image(sub.copyProperties(senImage, ['system:time_start'])).set('SENSOR', 'MSI');
+};
+
+/*
+  Description: Masks sentinel2 image pixels that are low quality, with the scene classification (SCL)
+               or the s2cloudless probability (clouds) plus SCL shadow, water and snow
+  Input: senImage: sentinel2 image
+         s2Mask: 'scl' or 'probability' (needs the cloud_probability image joined to senImage)
+  Output: clear pixel mask (1 clear)
+*/
+var senClear = function(senImage, s2Mask) {
+  var scl = senImage.select('SCL');
+  if(s2Mask === 'probability') {
+    var probability = ee.Image(senImage.get('cloud_probability')).select('probability');
+    return probability.lt(s2CloudProbability)
+             .and(scl.neq(1)).and(scl.neq(3)).and(scl.neq(6)).and(scl.neq(11));
+  }
+  // vegetation, bare soil and unclassified
+  return scl.eq(4).or(scl.eq(5)).or(scl.eq(7));
+};
+
+/*
+  Description: Masks and converts sentinel2 imagery to be more similar to Landsat imagery through band adjustments
+  Input: senImage: sentinel2 image
+         s2Mask: 'scl' or 'probability' (senClear)
+  Output: masked sentinel image with the band adjustments of its spacecraft (senAdjustment) and an all-clear
+          qa_pixel band, so it goes through the same indices and lsMaskNew as the Landsat images
+*/
+var convertToLandsat = function(senImage, s2Mask) {
+  var coefs = ee.Dictionary(ee.Dictionary(senAdjustment).get(senImage.get('SPACECRAFT_NAME'), senAdjustment['Sentinel-2A']));
+  var bands = senImage.select(['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'])
+                    .multiply(scale_sen).multiply(ee.Image.constant(ee.List(coefs.get('slopes'))))
+                    .add(ee.Image.constant(ee.List(coefs.get('intercepts')))).toFloat();
+  var qa = ee.Image.constant(0).toUint16().rename('qa_pixel');
+  return bands.addBands(qa).updateMask(senClear(senImage, s2Mask)).copyProperties(senImage, ['system:time_start']);
+};
+
+/*
+  Description: Fills the missing options with their defaults
+  Inputs:
+    -options: options object (may be undefined)
+    -defaults: default options
+  Output: new object with every default option
+*/
+var withDefaults = function(options, defaults) {
+  var result = {};
+  Object.keys(defaults).forEach(function(key) {
+    result[key] = defaults[key];
+  });
+  Object.keys(options || {}).forEach(function(key) {
+    if(options[key] !== undefined) {
+      result[key] = options[key];
+    }
+  });
+  return result;
+};
+
+/*
+  Description: Masked Landsat 4, 5, 7, 8, 9 Surface Reflectance Collection 2 (Tier 1) images with every
+               registered index, optionally harmonized and merged with the Sentinel-2 images
+  Inputs:
+    -roi: FeatureCollection or geometry the images have to overlap
+    -options: {legacyTC, harmonization, sentinel2, s2Mask} (defaultCollectionOptions)
+  Output: ImageCollection with the allVariables bands and a SENSOR property (TM, ETM, OLI, MSI)
+*/
+var buildLandsatCollection = function(roi, options) {
+  options = withDefaults(options, defaultCollectionOptions);
+  var Indices = function(img) {
+    return computeIndices(img, options.legacyTC);
+  };
+
+  var ls4SR = ee.ImageCollection("LANDSAT/LT04/C02/T1_L2").filterBounds(roi); // 1982-1993  -  1982-08-22T14:19:55Z–1993-06-24T14:26:23
+  var ls5SR = ee.ImageCollection("LANDSAT/LT05/C02/T1_L2").filterBounds(roi); // 1984-2012  -  1984-03-16T16:18:01Z–2012-05-05T17:54:06
+  var ls7SR_OK = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterDate('1999-01-01', '2003-06-01').filterBounds(roi); // 1999-pres  -  1999-05-28T01:02:17Z–
+  var ls7SR_BAD = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterDate('2003-06-01', '2033-01-01').filterBounds(roi); // SLC error on June 1st 2003
+  var ls8SR = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2").filterBounds(roi); // 2013-pres  -  2013-03-18T15:58:14Z–
+  var ls9SR = ee.ImageCollection("LANDSAT/LC09/C02/T1_L2").filterBounds(roi); // 2021-pres  -  2021-10-31T00:00:00Z–
+
+  // optional cross-sensor harmonization of the reflectance before the indices
+  var ls9 = harmonizeCollection(ls9SR.map(convertBandsls89).map(ls89Rename), 'OLI', options.harmonization)
+                .map(Indices).map(lsMaskNew);
+  var ls8 = harmonizeCollection(ls8SR.map(convertBandsls89).map(ls89Rename), 'OLI', options.harmonization)
+                .map(Indices).map(lsMaskNew);
+  var ls7_OK = harmonizeCollection(ls7SR_OK.map(convertBandsls457).map(ls457Rename), 'ETM', options.harmonization)
+                .map(Indices).map(lsMaskNew);
+  var ls7_BAD = harmonizeCollection(ls7SR_BAD.map(convertBandsls457).map(ls457Rename), 'ETM', options.harmonization)
+                .map(Indices).map(SLC_lsMask);
+  var ls5 = harmonizeCollection(ls5SR.map(convertBandsls457).map(ls457Rename), 'TM', options.harmonization)
+                .map(Indices).map(lsMaskNew);
+  var ls4 = harmonizeCollection(ls4SR.map(convertBandsls457).map(ls457Rename), 'TM', options.harmonization)
+                .map(Indices).map(lsMaskNew);
+
+  // Merge Landsat Collections
+  var lsCol = ee.ImageCollection(ls9.merge(ls8.merge(ls7_BAD.merge(ls7_OK.merge(ls5.merge(ls4))))));
+  if(options.sentinel2 !== true) {
+    return lsCol;
+  }
+
+  // Sentinel-2 MSI: MultiSpectral Instrument, Level-2A (offsets of the 2022 baseline already removed)
+  var sen2SR = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED").filterBounds(roi); // 2017-03-28T00:00:00Z -
+  if(options.s2Mask === 'probability') {
+    // inner join: scenes without a cloud probability image are dropped (senClear reads it)
+    sen2SR = ee.ImageCollection(ee.Join.saveFirst({matchKey: 'cloud_probability', outer: false}).apply({
+      primary: sen2SR,
+      secondary: ee.ImageCollection("COPERNICUS/S2_CLOUD_PROBABILITY").filterBounds(roi),
+      condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+    })).filter(ee.Filter.notNull(['cloud_probability']));
+  }
+
+  // Create spectral indices (S2 counts as OLI for the cross-sensor harmonization)
+  var sen2 = harmonizeCollection(sen2SR.map(function(img) {
+    return convertToLandsat(img, options.s2Mask);
+  }).map(sent2Rename), 'OLI', options.harmonization).map(Indices).map(lsMaskNew);
+
+  return ee.ImageCollection(lsCol.merge(sen2));
+};
+
+/*
+  Description: Sensors counted separately in the observation counts
+  Inputs:
+    -options: options of buildLandsatCollection
+  Output: list of SENSOR values
+*/
+var observationSensors = function(options) {
+  return options && options.sentinel2 === true ? ['TM', 'ETM', 'OLI', 'MSI'] : ['TM', 'ETM', 'OLI'];
+};
+
+/*
+  Description: Unmasked reflectance of every Landsat scene (with its cloud cover and product ID)
+               for browsing the scenes behind a candidate
+  Inputs:
+    -roi: FeatureCollection or geometry the scenes have to overlap
+  Output: ImageCollection with reflectanceBands, qa_pixel, SENSOR, CLOUD_COVER and LANDSAT_PRODUCT_ID
+*/
+var buildSceneCollection = function(roi) {
+  var sceneProps = ['system:time_start', 'CLOUD_COVER', 'LANDSAT_PRODUCT_ID'];
+  var scenes89 = ee.ImageCollection("LANDSAT/LC09/C02/T1_L2").merge(ee.ImageCollection("LANDSAT/LC08/C02/T1_L2"))
+    .filterBounds(roi).map(function(img) {
+      return ee.Image(ls89Rename(ee.Image(convertBandsls89(img)))).copyProperties(img, sceneProps);
+    });
+  var scenes457 = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").merge(ee.ImageCollection("LANDSAT/LT05/C02/T1_L2"))
+    .merge(ee.ImageCollection("LANDSAT/LT04/C02/T1_L2"))
+    .filterBounds(roi).map(function(img) {
+      return ee.Image(ls457Rename(ee.Image(convertBandsls457(img)))).copyProperties(img, sceneProps);
+    });
+  return ee.ImageCollection(scenes89.merge(scenes457));
+};
+
+/*
+  Description: Water and land masks of the ROI
+  Inputs:
+    -roi: FeatureCollection or geometry
+  Output: {dryLand: pixels never seen as water (JRC surface water), land: mainlands and big islands,
+           shorelines: mainland and big island polygons}
+*/
+var landMasks = function(roi) {
+  // create water mask
+  var dryLand = ee.Image("JRC/GSW1_4/GlobalSurfaceWater").select(['max_extent']).eq(0).selfMask().clip(roi);
+
+  // create land mask
+  var mainlands = ee.FeatureCollection('projects/sat-io/open-datasets/shoreline/mainlands');
+  var big_islands = ee.FeatureCollection('projects/sat-io/open-datasets/shoreline/big_islands');
+  var merged = mainlands.merge(big_islands);
+
+  // Rasterize polys and clip to ROI
+  var land = merged.reduceToImage({
+    properties: ['OBJECTID'],
+    reducer: ee.Reducer.count()
+  }).clip(roi);
+
+  return {dryLand: dryLand, land: land, shorelines: merged};
+};
+
+
+
+// ----------------------------------------- composites and classification -----------------------------------------
+
+
+/*
+  Description: Image with an empty (masked) band per registered index, merged into the collections so
+               the composites keep every band when there is no data
+  Output: image with the allVariables bands, all masked
+*/
+var transparentImage = function() {
+  return ee.Image.cat(allVariables.map(function(name) {
+    return ee.Image().toFloat();
+  })).rename(allVariables);
+};
+
+/*
+  Description: Pre- and post-fire median composites of a year and their differenced indices
+  Inputs:
+    -collection: collection from buildLandsatCollection
+    -year: year of analysis, the pre-fire composite is the search window of the year before
+           and the post-fire composite the one of the year after
+    -searchWindow: {start: 'MM-DD', end: 'MM-DD', snowFree: image or null} (defaultWindow)
+    -options: {roi: FeatureCollection the composites are clipped to,
+               sensors: SENSOR values counted separately (observationSensors)}
+  Output: {fireIndices: pre_<index> and post_<index> bands, deltas: fireIndices with the differenced and
+           relative indices (deltaIndices), obsIMG: number of clear observations behind each composite}
+*/
+var seasonalComposites = function(collection, year, searchWindow, options) {
+  searchWindow = withDefaults(searchWindow, defaultWindow);
+  options = options || {};
+  var sensors = options.sensors || observationSensors();
+  var imgCol = options.roi ? collection.filterBounds(options.roi) : collection;
+  var emptyImage = transparentImage();
+
+  // pre-fire variable names
+  var preVariables = allVariables.map(function(word) {
+    return ee.String('pre_').cat(word);
+  });
+
+  // post-fire variable names
+  var postVariables = allVariables.map(function(word) {
+    return ee.String('post_').cat(word);
+  });
+
+  // Pre-Imagery
+  var preFilteredCol = seasonFilter(imgCol, year, searchWindow, -1)
+                             .merge(ee.ImageCollection(emptyImage));
+
+  var pre_filled = ee.Image(preFilteredCol.median())
+                             .select(allVariables, preVariables);
+
+  // Post-Imagery
+  var postFilteredCol = seasonFilter(imgCol, year, searchWindow, 1)
+                             .merge(ee.ImageCollection(emptyImage));
+
+  var post_filled = ee.Image(postFilteredCol.median())
+                             .select(allVariables, postVariables);
+
+  var fireIndices = pre_filled.addBands(post_filled);
+
+  // number of clear (unmasked) observations behind the pre- and post-fire composites,
+  // in total and per sensor (pre_obs_TM, post_obs_OLI, ...)
+  var obsIMG = preFilteredCol.select('nbr').count().rename('pre_obs')
+                 .addBands(postFilteredCol.select('nbr').count().rename('post_obs'));
+  sensors.forEach(function(sensor) {
+    obsIMG = obsIMG.addBands(preFilteredCol.filter(ee.Filter.eq('SENSOR', sensor)).select('nbr')
+                               .merge(ee.ImageCollection(emptyImage.select('nbr'))).count()
+                               .rename('pre_obs_' + sensor))
+                   .addBands(postFilteredCol.filter(ee.Filter.eq('SENSOR', sensor)).select('nbr')
+                               .merge(ee.ImageCollection(emptyImage.select('nbr'))).count()
+                               .rename('post_obs_' + sensor));
+  });
+  obsIMG = obsIMG.unmask(0);
+  if(options.roi) {
+    obsIMG = obsIMG.clip(options.roi);
+  }
+
+  return {
+    fireIndices: fireIndices,
+    // differenced and relative indices of the registry (dnbr, rbr, rdnbr, dndvi, ...)
+    deltas: deltaIndices(fireIndices),
+    obsIMG: obsIMG
+  };
+};
+
+// best random forest hyperparameters determined by randomly searching
+// across hyperparameters for best accuracy
+var defaultRfParams = {
+  numberOfTrees: 100,
+  variablesPerSplit: null,
+  minLeafPopulation: 1,
+  bagFraction: 0.7,
+  maxNodes: 560,
+  seed: 1
+};
+
+/*
+  Description: Trains the RF model used for prediction
+  Inputs:
+    -data: training FeatureCollection (0/1 'BURNT' column and one column per predictor)
+    -predictors: list of predictor names (default predictorVariables)
+    -rfParams: smileRandomForest hyperparameters (default defaultRfParams)
+  Output: classifier in probability output mode
+*/
+var trainClassifier = function(data, predictors, rfParams) {
+  return ee.Classifier.smileRandomForest(rfParams || defaultRfParams)
+           .train(data, 'BURNT', predictors || predictorVariables)
+           .setOutputMode('PROBABILITY');
+};
+
+/*
+  Description: RF burn probability of the differenced indices
+  Inputs:
+    -deltas: differenced indices named in lower case (seasonalComposites deltas)
+    -classifier: classifier in probability output mode (trainClassifier or a saved model)
+    -predictors: list of predictor names the classifier was trained on (default predictorVariables)
+    -masks: {dryLand, land} (landMasks), or null to leave water and ocean unmasked
+  Output: probability image (0-1)
+*/
+var predictBurnProbability = function(deltas, classifier, predictors, masks) {
+  predictors = predictors || predictorVariables;
+
+  // reformat the predictorVariable list for easier selecting/subsetting of indices
+  var lowerCaseVariables = predictors.map(function(str) {
+    return ee.String(str).toLowerCase();
+  });
+
+  // rename and select bands
+  var predictorIMG = deltas.select(lowerCaseVariables, predictors);
+  var predictedImage = predictorIMG.classify(classifier);
+  if(masks) {
+    predictedImage = predictedImage.updateMask(masks.dryLand).updateMask(masks.land);
+  }
+  return predictedImage;
+};
+
+/*
+  Description: Deviations of the fire and post-fire year from the median of the 1-3 years prior
+  Inputs:
+    -collection: collection from buildLandsatCollection
+    -year: year of analysis
+    -searchWindow: {start: 'MM-DD', end: 'MM-DD', snowFree: image or null} (defaultWindow)
+    -roi: FeatureCollection the images are clipped to
+    -masks: {dryLand, land} (landMasks)
+  Output: {divIMG: lowest ratio to the baseline, subIMG: lowest difference from the baseline,
+           meanIMG: lowest value}, every band of the collection, lakes and ocean masked
+*/
+var baselineDeviations = function(collection, year, searchWindow, roi, masks) {
+  searchWindow = withDefaults(searchWindow, defaultWindow);
+  var imgCol = collection;
+
+  // get median of TimeSeries over ROI (1-3 years prior)
+  var Tm1 = seasonFilter(imgCol, year, searchWindow, -1);
+  var Tm2 = seasonFilter(imgCol, year, searchWindow, -2);
+  var Tm3 = seasonFilter(imgCol, year, searchWindow, -3);
+  var PREmedian = ee.Image((Tm1.merge(Tm2.merge(Tm3))).median());
+
+
+  // calculate deviation from median - RATIO across each image in the TS
+  // compressing each TS down to median (tested mean and some others but median better)
+  var TSdevDiv = imgCol.map(function (IMG){return ee.Image(IMG.divide(PREmedian)).copyProperties(IMG,['system:time_start'])});
+  var divColA = seasonFilter(TSdevDiv, year, searchWindow, 1).median().clip(roi);
+  var divColB = seasonFilter(TSdevDiv, year, searchWindow, 0).median().clip(roi);
+  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
+  var divCol = ee.Image(ee.ImageCollection([divColA,divColB]).min());
+
+
+  // calculate deviation from median - SUBTRACT across each image in the TS
+  // compressing each TS down to mean (tested median and some others but mean better)
+  var TSdevSub = imgCol.map(function (IMG){return ee.Image(IMG.subtract(PREmedian)).copyProperties(IMG,['system:time_start'])});
+  var subColA = seasonFilter(TSdevSub, year, searchWindow, 1).mean().clip(roi);
+  var subColB = seasonFilter(TSdevSub, year, searchWindow, 0).mean().clip(roi);
+  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
+  var subCol = ee.Image(ee.ImageCollection([subColA,subColB]).min());
+
+  // this is how I will grab the lowest NBR value across the 2 timeseries
+  // originaly tried mean value but settled on post-fire NBR needed to be <0 (using min here)
+  var meanColA = seasonFilter(imgCol, year, searchWindow, 1).min().clip(roi);
+  var meanColB = seasonFilter(imgCol, year, searchWindow, 0).min().clip(roi);
+  // return lowest value across the 2 ImgCols - either [year of fire vs PREfire] OR [postFire vs PREfire]
+  var meanCol = ee.Image(ee.ImageCollection([meanColA,meanColB]).min());
+
+  // mask lakes then ocean
+  return {
+    divIMG: divCol.updateMask(masks.dryLand).updateMask(masks.land),
+    subIMG: subCol.updateMask(masks.dryLand).updateMask(masks.land),
+    meanIMG: meanCol.updateMask(masks.dryLand).updateMask(masks.land)
+  };
+};
+
+/*
+  Description: Composites, RF prediction and the four rules for one year of analysis
+  Inputs:
+    -options: {collection: buildLandsatCollection collection,
+               roi: FeatureCollection of the study area,
+               year: year of analysis,
+               classifier: classifier in probability output mode,
+               predictors: predictor names of the classifier (default predictorVariables),
+               window: search window (defaultWindow),
+               sensors: SENSOR values counted separately (default observationSensors()),
+               masks: {dryLand, land} (default landMasks(roi)),
+               rules: rule thresholds and bands (default defaultRuleSettings)}
+  Output: {year, ROI, predictedImage, divIMG, subIMG, meanIMG, diffIMG (dNBR2, dTCG, dTCB), obsIMG,
+           trainingIMG (every allVars band), rules (applyRules)}, used by candidateMask and exportCandidates
+*/
+var runYear = function(options) {
+  var searchWindow = withDefaults(options.window, defaultWindow);
+  var predictors = options.predictors || predictorVariables;
+  var masks = options.masks || landMasks(options.roi);
+  var ruleSettings = withDefaults(options.rules, defaultRuleSettings);
+
+  var composites = seasonalComposites(options.collection, options.year, searchWindow,
+                                      {roi: options.roi, sensors: options.sensors});
+
+  // mask water points
+  var dryBurnIndices = composites.deltas.updateMask(masks.dryLand);
+  var diffIMG = dryBurnIndices.select(['dnbr2', 'dtcg', 'dtcb'], ['dNBR2', 'dTCG', 'dTCB']);
+  // every differenced index under the training table's column names, sampled by the point labelling
+  var trainingIMG = dryBurnIndices.select(allVars.map(function(str) {
+    return str.toLowerCase();
+  }), allVars);
+
+  var predictedImage = predictBurnProbability(dryBurnIndices, options.classifier, predictors, masks);
+  var baseline = baselineDeviations(options.collection, options.year, searchWindow, options.roi, masks);
+
+  // now threshold using our 4-rules (defaultRuleSettings):
+  //   RF pred > 0.9, >50% drop in NBR2 compared to the historical avg,
+  //   <0.1 difference in NBR2 from historical avg, post-fire NBR below 0
+  var rules = applyRules(predictedImage, baseline.divIMG, baseline.subIMG, baseline.meanIMG, ruleSettings);
+
+  return {
+    year: options.year,
+    ROI: options.roi,
+    predictedImage: predictedImage,
+    divIMG: baseline.divIMG,
+    subIMG: baseline.subIMG,
+    meanIMG: baseline.meanIMG,
+    diffIMG: diffIMG,
+    obsIMG: composites.obsIMG,
+    trainingIMG: trainingIMG,
+    rules: rules
+  };
+};
+
+/*
+  Description: Queues the export of a trained classifier and its metadata to the model registry
+               (the classifier as <registry>/rf__<name> and a one-row table as <registry>/rf__<name>__meta)
+  Inputs:
+    -classifier: trained classifier
+    -registry: asset folder of the model registry
+    -modelName: version name of the model
+    -rfParams: smileRandomForest hyperparameters
+    -predictors: list of predictor names
+    -trainingAsset: asset ID of the training points
+    -collectionOptions: options of buildLandsatCollection the predictors were computed with
+  Output: list of {description, task} (see exportTable)
+*/
+var saveModel = function(classifier, registry, modelName, rfParams, predictors, trainingAsset, collectionOptions) {
+  var assetId = registry + '/rf__' + modelName;
+
+  var Exports = exportApi();
+  var classifierTask = Exports.classifier.toAsset({
+    classifier: classifier,
+    description: 'rfModel__' + modelName,
+    assetId: assetId
+  });
+
+  var metadata = ee.Feature(null, {
+    model: modelName,
+    classifierAsset: assetId,
+    rfParams: JSON.stringify(rfParams),
+    predictors: predictors.join(','),
+    trainingAsset: trainingAsset,
+    collectionOptions: JSON.stringify(collectionOptions),
+    created: new Date().toISOString().slice(0, 10)
+  });
+  var metaTask = Exports.table.toAsset({
+    collection: ee.FeatureCollection([metadata]),
+    description: 'rfModel__' + modelName + '__meta',
+    assetId: assetId + '__meta'
+  });
+  return [{description: 'rfModel__' + modelName, task: classifierTask},
+          {description: 'rfModel__' + modelName + '__meta', task: metaTask}];
+};
+
+/*
+  Description: Compares the collection options a model was saved with to the current ones
+  Inputs:
+    -saved: collectionOptions of the model metadata (parsed)
+    -current: collectionOptions of the run
+  Output: list of 'option: saved value (now current value)' (empty when they match;
+          the S2 mask is only compared when Sentinel-2 is used)
+*/
+var collectionMismatches = function(saved, current) {
+  return Object.keys(defaultCollectionOptions).filter(function(name) {
+    if(name === 's2Mask' && !saved.sentinel2 && !current.sentinel2) {
+      return false;
+    }
+    return saved[name] !== current[name];
+  }).map(function(name) {
+    return name + ': ' + saved[name] + ' (now ' + current[name] + ')';
+  });
+};
+
+// share of points used for training in the train/test split, and number of folds for k-fold
+var trainFraction = 0.7;
+var validationFolds = 5;
+
+/*
+  Description: Accuracy assessment of the RF model on a seeded split of the training points
+  Inputs:
+    -data: training FeatureCollection (with the 0/1 'BURNT' column)
+    -predictors: list of predictor names
+    -rfParams: smileRandomForest hyperparameters (the seed also seeds the split)
+    -splitMode: 'holdout' (train/test split) or 'kfold' (pooled over validationFolds folds)
+  Output: dictionary with the confusion matrix, overall accuracy, kappa,
+          per-class precision and recall and the variable importance
+*/
+var assessClassifier = function(data, predictors, rfParams, splitMode) {
+  var split = data.randomColumn('random', rfParams.seed);
+
+  var trainAndTest = function(training, testing) {
+    var classifier = ee.Classifier.smileRandomForest(rfParams)
+                       .train(training, 'BURNT', predictors);
+    return testing.classify(classifier);
+  };
+
+  var tested;
+  if(splitMode === 'kfold') {
+    tested = ee.FeatureCollection(ee.List.sequence(0, validationFolds - 1).map(function(fold) {
+      var inFold = ee.Filter.and(
+        ee.Filter.gte('random', ee.Number(fold).divide(validationFolds)),
+        ee.Filter.lt('random', ee.Number(fold).add(1).divide(validationFolds)));
+      return trainAndTest(split.filter(inFold.not()), split.filter(inFold));
+    })).flatten();
+  }
+  else {
+    tested = trainAndTest(split.filter(ee.Filter.lt('random', trainFraction)),
+                          split.filter(ee.Filter.gte('random', trainFraction)));
+  }
+
+  var errorMatrix = tested.errorMatrix('BURNT', 'classification', [0, 1]);
+  var importance = ee.Classifier.smileRandomForest(rfParams)
+                     .train(data, 'BURNT', predictors)
+                     .explain().get('importance');
+
+  return ee.Dictionary({
+    matrix: errorMatrix.array(),
+    accuracy: errorMatrix.accuracy(),
+    kappa: errorMatrix.kappa(),
+    precision: errorMatrix.consumersAccuracy(),
+    recall: errorMatrix.producersAccuracy(),
+    testSize: tested.size(),
+    importance: importance
+  });
+};
+
+/*
+  Description: Flattens the accuracy report into a table (one metric per row) for a CSV export
+  Inputs:
+    -report: dictionary from assessClassifier
+    -predictors: list of predictor names
+  Output: FeatureCollection with 'metric', 'class' and 'value' columns (the predictor list is the 'predictors' row)
+*/
+var validationTable = function(report, predictors) {
+  var matrix = ee.Array(report.get('matrix'));
+  var row = function(metric, className, value) {
+    return ee.Feature(null, {metric: metric, 'class': className, value: value});
+  };
+  var rows = [
+    row('overall_accuracy', 'all', report.get('accuracy')),
+    row('kappa', 'all', report.get('kappa')),
+    row('test_points', 'all', report.get('testSize')),
+    row('predictors', 'all', predictors.join(','))
+  ];
+  [0, 1].forEach(function(i) {
+    rows.push(row('precision', i, ee.Array(report.get('precision')).get([0, i])));
+    rows.push(row('recall', i, ee.Array(report.get('recall')).get([i, 0])));
+    [0, 1].forEach(function(j) {
+      rows.push(row('confusion_predicted_' + j, i, matrix.get([i, j])));
+    });
+  });
+  predictors.forEach(function(name) {
+    rows.push(row('importance_' + name, 'all', ee.Dictionary(report.get('importance')).get(name)));
+  });
+  return ee.FeatureCollection(rows);
+};
+
+/*
+  Description: Short tag of a predictor set for task names (EE task descriptions are limited to 100 characters)
+  Inputs:
+    -predictors: list of predictor names
+  Output: '<number of predictors>var_<hash of the names>', e.g. '3var_0f1e2d3c'
+*/
+var predictorTag = function(predictors) {
+  var hash = 5381;
+  predictors.join(',').split('').forEach(function(c) {
+    hash = ((hash * 33) ^ c.charCodeAt(0)) >>> 0;
+  });
+  return predictors.length + 'var_' + ('0000000' + hash.toString(16)).slice(-8);
+};
+
+
+
+// --------------------------------------------- candidate rules ---------------------------------------------
+
+// rule thresholds and bands of the panel: RF pred > 0.9, >50% drop in NBR2 compared to the historical avg,
+// < -0.1 difference in NBR2 from historical avg, post-fire NBR below 0, and the number of rules (k) to pass
+var defaultRuleSettings = {
+  rfThresh: 0.9,
+  devBand: 'nbr2',
+  devThresh: 0.5,
+  subBand: 'nbr2',
+  subThresh: -0.1,
+  mnBand: 'nbr',
+  mnThresh: 0,
+  k: 4
+};
+
+/*
+  Description: Apply the four candidate-fire rules
+  Inputs:
+    -predictedImage: RF probability image
+    -divIMG: ratio of the fire/post-fire year to the Tm1-Tm3 baseline
+    -subIMG: difference of the fire/post-fire year from the Tm1-Tm3 baseline
+    -meanIMG: minimum value across the fire and post-fire year
+    -settings: rule thresholds and bands (defaultRuleSettings)
+  Output: list of the four binary rule images [RF, DEV, SUB, MN]
+*/
+var applyRules = function(predictedImage, divIMG, subIMG, meanIMG, settings) {
+  var hiRFthresh = predictedImage.gt(settings.rfThresh);                        // high RF pred
+  var hiDEVthresh = divIMG.select([settings.devBand]).lt(settings.devThresh);  // drop compared to the historical avg
+  var hiSUBthresh = subIMG.select([settings.subBand]).lt(settings.subThresh);  // difference from historical avg
+  var hiMNthresh = meanIMG.select([settings.mnBand]).lt(settings.mnThresh);    // post-fire value below threshold
+  return [hiRFthresh, hiDEVthresh, hiSUBthresh, hiMNthresh];
+};
+
+
+// names of the four rules, bit i of the rule bitmask is set when rule i passed
+var ruleNames = ['rule_rf', 'rule_dev', 'rule_sub', 'rule_mn'];
+
+/*
+  Description: Count how many of the four rules each pixel passed and which ones
+  Inputs:
+    -rules: list of the four binary rule images (applyRules)
+  Output: image with 'agreement' (0-4) and 'rule_bits' (1 = RF, 2 = DEV, 4 = SUB, 8 = MN) bands
+*/
+var ruleAgreement = function(rules) {
+  var agreement = rules[0].add(rules[1]).add(rules[2]).add(rules[3]).rename('agreement');
+  var ruleBits = rules[0].add(rules[1].multiply(2)).add(rules[2].multiply(4)).add(rules[3].multiply(8))
+                   .rename('rule_bits');
+  return agreement.addBands(ruleBits).toByte();
+};
+
+/*
+  Description: Attach rule agreement attributes to candidate polygons
+  Inputs:
+    -vectors: candidate polygons (reduceToVectors)
+    -rules: list of the four binary rule images (applyRules)
+    -scale: pixel size (meters) used to vectorize
+  Output: polygons with agreement_mean/_max, rule_*_mean (fraction of pixels passing each rule)
+          and rule_bits (bitmask of the rules passed anywhere in the polygon)
+*/
+var addRuleAttributes = function(vectors, rules, scale) {
+  var ruleImage = ruleAgreement(rules).select('agreement')
+                    .addBands(ee.Image.cat(rules).rename(ruleNames));
+  var reduced = ruleImage.reduceRegions({
+    collection: vectors,
+    reducer: ee.Reducer.mean().combine(ee.Reducer.max(), null, true),
+    scale: scale,
+    tileScale: 4
+  });
+  return reduced.map(function(ft) {
+    var ruleBits = ruleNames.reduce(function(bits, name, i) {
+      return bits.add(ee.Number(ft.get(name + '_max')).multiply(Math.pow(2, i)));
+    }, ee.Number(0));
+    return ee.Feature(ft).set('rule_bits', ruleBits)
+             .select(ee.List(['count', 'label', 'rule_bits', 'agreement_mean', 'agreement_max'])
+               .cat(ruleNames.map(function(name) { return name + '_mean'; })));
+  });
+};
+
+/*
+  Description: Attach descriptive attributes to candidate polygons for triage
+  Inputs:
+    -vectors: candidate polygons (reduceToVectors)
+    -yearRun: images of one year of analysis (predictedImage, diffIMG, divIMG, subIMG, meanIMG, obsIMG)
+    -settings: rule thresholds and bands (defaultRuleSettings)
+    -scale: pixel size (meters) used to vectorize
+  Output: polygons with area_ha, perimeter_m, centroid_lat/_lon, rf_prob_mean/_max,
+          dNBR2/dTCG/dTCB_mean, dev/sub/mn_mean (mean value tested by each rule)
+          and pre_obs/post_obs_mean (clear observations per pixel, also per sensor)
+*/
+var addPolygonAttributes = function(vectors, yearRun, settings, scale) {
+  var attrImage = yearRun.predictedImage.rename('rf_prob')
+                    .addBands(yearRun.diffIMG)
+                    .addBands(yearRun.divIMG.select([settings.devBand], ['dev']))
+                    .addBands(yearRun.subIMG.select([settings.subBand], ['sub']))
+                    .addBands(yearRun.meanIMG.select([settings.mnBand], ['mn']))
+                    .addBands(yearRun.obsIMG);
+  var reduced = attrImage.reduceRegions({
+    collection: vectors,
+    reducer: ee.Reducer.mean().combine(ee.Reducer.max(), null, true),
+    scale: scale,
+    tileScale: 4
+  });
+  // only the RF probability keeps its max
+  var dropNames = ee.List(['dNBR2_max', 'dTCG_max', 'dTCB_max', 'dev_max', 'sub_max', 'mn_max'])
+                    .cat(yearRun.obsIMG.bandNames().map(function(name) {
+                      return ee.String(name).cat('_max');
+                    }));
+  return reduced.map(function(ft) {
+    var geom = ft.geometry();
+    var centroid = geom.centroid(1).coordinates();
+    return ft.set({
+      area_ha: geom.area(1).divide(1e4),
+      perimeter_m: geom.perimeter(1),
+      centroid_lon: centroid.get(0),
+      centroid_lat: centroid.get(1)
+    }).select(ft.propertyNames().cat(['area_ha', 'perimeter_m', 'centroid_lon', 'centroid_lat'])
+                .removeAll(dropNames));
+  });
+};
+
+/*
+  Description: Candidate pixels, those passing at least k of the four rules
+  Inputs:
+    -rules: list of the four binary rule images (applyRules)
+    -k: number of rules a pixel has to pass (default 4, all of them)
+    -region: geometry or FeatureCollection the candidates are clipped to (optional)
+  Output: self-masked candidate image
+*/
+var candidateMask = function(rules, k, region) {
+  var agreement = ruleAgreement(rules);
+  if(region) {
+    agreement = agreement.clip(region);
+  }
+  return agreement.select('agreement').gte(k === undefined ? 4 : k).selfMask();
+};
+
+
+
+// ------------------------------------------- candidate polygons -------------------------------------------
+
+// polygon cleanup options of the panel (no cleanup)
+//   -minPixels: minimum connected pixel count of a polygon
+//   -morph: 'none', 'open', 'close' or 'openclose' morphology of the candidate mask
+//   -morphRadius: radius (pixels) of the morphology kernel
+//   -gap: polygons closer than this distance (meters) are merged
+//   -simplify: simplification tolerance (meters)
+var defaultCleanup = {minPixels: 0, morph: 'none', morphRadius: 1, gap: 0, simplify: 0};
+
+/*
+  Description: Filename tag of the polygon cleanup options (empty when none are used)
+  Inputs:
+    -cleanup: cleanup settings (defaultCleanup)
+  Output: string such as '_open1_gap120m_simp30m'
+*/
+var cleanupTag = function(cleanup) {
+  var tag = '';
+  if(cleanup.morph !== 'none') {
+    tag += '_' + cleanup.morph + cleanup.morphRadius;
+  }
+  if(cleanup.gap > 0) {
+    tag += '_gap' + cleanup.gap + 'm';
+  }
+  if(cleanup.simplify > 0) {
+    tag += '_simp' + cleanup.simplify + 'm';
+  }
+  return tag;
+};
+
+/*
+  Description: Morphological open/close of the candidate mask
+  Inputs:
+    -candidateMask: self-masked candidate image
+    -cleanup: cleanup settings (defaultCleanup)
+  Output: self-masked 'candidate' image after the cleanup
+*/
+var cleanCandidateMask = function(candidateMask, cleanup) {
+  var mask = candidateMask.unmask(0);
+  var kernel = {radius: cleanup.morphRadius, kernelType: 'square', units: 'pixels'};
+  if(cleanup.morph === 'open' || cleanup.morph === 'openclose') {
+    mask = mask.focal_min(kernel).focal_max(kernel);
+  }
+  if(cleanup.morph === 'close' || cleanup.morph === 'openclose') {
+    mask = mask.focal_max(kernel).focal_min(kernel);
+  }
+  return mask.selfMask().rename('candidate');
+};
+
+/*
+  Description: Dissolves polygons closer than twice the buffer distance into single features
+  Inputs:
+    -vectors: candidate polygons
+    -candidates: candidate image the pixel counts are taken from (cleanCandidateMask)
+    -distance: buffer distance (meters), polygons are grown by it, dissolved and shrunk back
+    -scale: pixel size (meters) used to vectorize
+  Output: dissolved polygons with 'label' and recounted 'count' (pixels)
+*/
+var dissolvePolygons = function(vectors, candidates, distance, scale) {
+  var merged = vectors.map(function(ft) {
+    return ft.buffer(distance, 1);
+  }).union(1);
+  // union of a cell without candidates is empty (no first feature)
+  var parts = ee.List(ee.Algorithms.If(merged.size().gt(0), merged.first().geometry().geometries(), []));
+  var dissolved = ee.FeatureCollection(parts.map(function(geom) {
+    return ee.Feature(ee.Geometry(geom).buffer(-distance, 1), {label: 1});
+  }));
+  return candidates.reduceRegions({
+    collection: dissolved,
+    reducer: ee.Reducer.count(),
+    scale: scale,
+    tileScale: 4
+  });
+};
+
+/*
+  Description: Minimum size filter and simplification of candidate polygons
+  Inputs:
+    -vectors: candidate polygons with 'count' (pixels)
+    -cleanup: cleanup settings (defaultCleanup)
+  Output: polygons of at least cleanup.minPixels pixels, simplified to cleanup.simplify meters
+*/
+var filterAndSimplify = function(vectors, cleanup) {
+  vectors = vectors.filter(ee.Filter.gte('count', cleanup.minPixels));
+
+  if(cleanup.simplify > 0) {
+    vectors = vectors.map(function(ft) {
+      return ft.simplify(cleanup.simplify);
+    });
+  }
+  return vectors;
+};
+
+/*
+  Description: Turns the candidate mask into polygons with optional cleanup
+  Inputs:
+    -candidateMask: self-masked candidate image
+    -region: geometry to vectorize
+    -scale: pixel size (meters) of the output
+    -cleanup: cleanup settings (defaultCleanup)
+  Output: polygons with 'count' (pixels), after (in order) morphological open/close of the mask,
+          merging of polygons closer than the gap, the minimum size filter and simplification
+*/
+var vectorizeCandidates = function(candidateMask, region, scale, cleanup) {
+  var candidates = cleanCandidateMask(candidateMask, cleanup);
+
+  var vectors = candidates.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: region,
+    scale: scale,
+    maxPixels: 1e13,
+    tileScale: 4
+  });
+
+  // grow by half the gap, dissolve, shrink back and recount the pixels of the merged polygons
+  if(cleanup.gap > 0) {
+    vectors = dissolvePolygons(vectors, candidates, cleanup.gap / 2, scale);
+  }
+
+  return filterAndSimplify(vectors, cleanup);
+};
+
+/*
+  Description: Stitches candidate polygons that were split at export tile boundaries
+  Inputs:
+    -vectors: polygons of all tiles (vectorizeCandidates without minimum size or simplification)
+    -tiles: export tiles (buildTiles)
+    -candidates: candidate image of the whole ROI (cleanCandidateMask)
+    -scale: pixel size (meters) used to vectorize
+  Output: one de-duplicated set of polygons, pieces touching across a seam dissolved into
+          one feature with a recounted 'count' (pixels)
+*/
+var stitchTiles = function(vectors, tiles, candidates, scale) {
+  // band one pixel wide along the inside of every tile edge
+  var seams = tiles.map(function(cell) {
+    return ee.Feature(cell.geometry().difference(cell.geometry().buffer(-scale, 1), 1));
+  }).geometry();
+  var seamFilter = ee.Filter.bounds(seams);
+
+  // only polygons on a seam are dissolved (with a 1 m snap), the rest are kept as they are
+  var stitched = dissolvePolygons(vectors.filter(seamFilter), candidates, 1, scale);
+  return vectors.filter(seamFilter.not()).merge(stitched);
+};
+
+/*
+  Description: Splits a region into export tiles, skipping the empty cells (no land, so no candidates)
+  Inputs:
+    -region: FeatureCollection to tile
+    -crs: projection of the grid (e.g. 'EPSG:3978' for equal-area tiles)
+    -tileSize: tile size in meters
+    -shorelines: land polygons (landMasks), cells touching none of them are skipped
+  Output: FeatureCollection of grid cells, each with a stable 'cell_id'
+          (cell_<column>_<row> of the grid, the same for any ROI using the same CRS and tile size)
+*/
+var buildTiles = function(region, crs, tileSize, shorelines) {
+  var gridProj = ee.Projection(crs).atScale(tileSize);
+  // coveringGrid only returns the cells touching the region
+  var cells = region.geometry().coveringGrid(gridProj);
+  var landCells = ee.Join.simple().apply(cells, shorelines.filterBounds(region),
+                                         ee.Filter.intersects({leftField: '.geo', rightField: '.geo', maxError: 1000}));
+  return ee.FeatureCollection(landCells).map(function(cell) {
+    // centroid in grid units gives the column/row of the cell
+    var xy = cell.geometry().centroid(1, gridProj).coordinates();
+    var column = ee.Number(xy.get(0)).floor().int();
+    var row = ee.Number(xy.get(1)).floor().int();
+    return cell.set('cell_id', ee.String('cell_').cat(column.format('%d')).cat('_').cat(row.format('%d')));
+  });
+};
+
+// a candidate is 'recorded' when at least this fraction of its area is inside recorded
+// perimeters, 'partially recorded' for any smaller overlap (same rules as fire_record_matching.js)
+var recordedFraction = 0.5;
+
+/*
+  Description: Loads the recorded perimeters that can match the candidates of a year
+  Inputs:
+    -settings: {asset, idProperty, yearProperty} of the recorded perimeters
+    -year: year of analysis, perimeters from the year before to the year after are kept
+           (the pre/post-fire composites span those years) unless no year property is given
+  Output: FeatureCollection of recorded perimeters
+*/
+var loadRecords = function(settings, year) {
+  var records = ee.FeatureCollection(settings.asset);
+  if(settings.yearProperty) {
+    records = records.filter(ee.Filter.rangeContains(settings.yearProperty, year - 1, year + 1));
+  }
+  return records;
+};
+
+/*
+  Description: Tags candidates by their overlap with recorded fire perimeters
+  Inputs:
+    -vectors: candidate polygons
+    -records: recorded perimeters (loadRecords)
+    -idProperty: fire ID property of the perimeters
+  Output: polygons with record_status ('recorded', 'partially recorded', 'unrecorded'),
+          record_overlap (fraction of the candidate area inside recorded perimeters)
+          and record_fire_id (perimeter with the largest overlap, '' when unrecorded)
+*/
+var matchRecordedFires = function(vectors, records, idProperty) {
+  return vectors.map(function(ft) {
+    var geom = ft.geometry();
+    var overlapping = records.filterBounds(geom).map(function(record) {
+      return record.set('overlap_area', record.geometry().intersection(geom, 1).area(1));
+    }).sort('overlap_area', false);
+
+    // dissolved, so perimeters that overlap each other count once
+    var overlap = ee.Number(ee.Algorithms.If(overlapping.size().gt(0),
+      geom.intersection(overlapping.union(1).geometry(), 1).area(1).divide(geom.area(1)),
+      0));
+    var fireId = ee.Algorithms.If(overlapping.size().gt(0),
+      ee.Feature(overlapping.first()).get(idProperty),
+      '');
+    var status = ee.Algorithms.If(overlap.gte(recordedFraction), 'recorded',
+                   ee.Algorithms.If(overlap.gt(0), 'partially recorded', 'unrecorded'));
+
+    return ft.set({
+      record_status: status,
+      record_overlap: overlap,
+      record_fire_id: fireId
+    });
+  });
+};
+
+
+
+// ------------------------------------------------ exports ------------------------------------------------
+
+// export options of the panel
+//   -destination: 'drive', 'asset' or 'gcs'
+//   -path: Drive folder, asset folder or bucket[/prefix]
+//   -format: table format ('GeoJSON', 'SHP', 'KML', 'KMZ', 'CSV')
+//   -rasters: true to also export the RF probability and candidate mask rasters
+//   -rasterScale, rasterCrs: pixel size (meters) and projection of those rasters
+var defaultExportSettings = {
+  destination: 'drive',
+  path: 'tundraFire_exports',
+  format: 'GeoJSON',
+  rasters: false,
+  rasterScale: 30,
+  rasterCrs: 'EPSG:4326'
+};
+
+/*
+  Description: Queues a table export to the chosen destination
+  Inputs:
+    -collection: FeatureCollection to export
+    -description: task name (also the file or asset name)
+    -settings: export settings (defaultExportSettings)
+  Output: {description, task}, task is undefined in the Code Editor and has to be started in Node
+*/
+var exportTable = function(collection, description, settings) {
+  var Exports = exportApi();
+  var task;
+  if(settings.destination === 'asset') {
+    task = Exports.table.toAsset({
+      collection: collection,
+      description: description,
+      assetId: settings.path + '/' + description
+    });
+  }
+  else if(settings.destination === 'gcs') {
+    var prefix = settings.path.split('/').slice(1).join('/');
+    task = Exports.table.toCloudStorage({
+      collection: collection,
+      description: description,
+      bucket: settings.path.split('/')[0],
+      fileNamePrefix: prefix ? prefix + '/' + description : description,
+      fileFormat: settings.format
+    });
+  }
+  else {
+    task = Exports.table.toDrive({
+      collection: collection,
+      description: description, //filename defaults to description
+      folder: settings.path,
+      fileFormat: settings.format
+    });
+  }
+  return {description: description, task: task};
+};
+
+/*
+  Description: Queues an image export (Cloud-Optimized GeoTIFF outside of assets) to the chosen destination
+  Inputs:
+    -image: image to export
+    -description: task name (also the file or asset name)
+    -region: geometry to export
+    -scale: pixel size (meters)
+    -crs: projection of the export (e.g. 'EPSG:4326')
+    -settings: export settings (defaultExportSettings)
+  Output: {description, task} (see exportTable)
+*/
+var exportImage = function(image, description, region, scale, crs, settings) {
+  var Exports = exportApi();
+  var params = {
+    image: image,
+    description: description,
+    region: region,
+    scale: scale,
+    crs: crs,
+    maxPixels: 1e13
+  };
+  if(settings.destination === 'asset') {
+    params.assetId = settings.path + '/' + description;
+    return {description: description, task: Exports.image.toAsset(params)};
+  }
+  params.fileFormat = 'GeoTIFF';
+  params.formatOptions = {cloudOptimized: true};
+  if(settings.destination === 'gcs') {
+    var prefix = settings.path.split('/').slice(1).join('/');
+    params.bucket = settings.path.split('/')[0];
+    params.fileNamePrefix = prefix ? prefix + '/' + description : description;
+    return {description: description, task: Exports.image.toCloudStorage(params)};
+  }
+  params.folder = settings.path;
+  return {description: description, task: Exports.image.toDrive(params)};
+};
+
+/*
+  Description: Queues the candidate exports of one year: the candidate polygons of every tile (or of the
+               whole ROI), optionally the rule agreement, RF probability and candidate mask rasters and
+               one layer of the tiles stitched together
+  Inputs:
+    -yearRun: images of one year of analysis (runYear)
+    -options: {scale: pixel size (meters) of the polygons (default defaultScale),
+               rules: rule thresholds and bands, k is the number of rules to pass (defaultRuleSettings),
+               cleanup: polygon cleanup (defaultCleanup),
+               agreement: true to add the rule attributes and export the rule agreement rasters,
+               records: {asset, idProperty, yearProperty} of recorded perimeters to tag the polygons with
+                        (loadRecords), or null,
+               exportSettings: destination and format (defaultExportSettings),
+               tiles: export tiles (buildTiles), or null to export the ROI as one cell named roiName,
+               tileIds: cell_id of the tiles to export (default all of them),
+               stitch: true to export the tiles as one de-duplicated layer instead of one layer per tile,
+               roiName: cell name of the ROI when there are no tiles (default 'drawROI')}
+  Output: list of {description, task} (exportTable), one per export
+*/
+var exportCandidates = function(yearRun, options) {
+  options = options || {};
+  var Res = options.scale || defaultScale;
+  var ruleSettings = withDefaults(options.rules, defaultRuleSettings);
+  var cleanupSettings = withDefaults(options.cleanup, defaultCleanup);
+  var exportSettings = withDefaults(options.exportSettings, defaultExportSettings);
+  var records = options.records || null;
+  var tiles = options.tiles || null;
+  var stitch = options.stitch === true && tiles !== null;
+  var year_select = yearRun.year;
+  var rules = yearRun.rules;
+  var kSelect = ruleSettings.k;
+  var queued = [];
+
+  // k of N filename tag (left off for the default all-four rules)
+  var kVar = kSelect === 4 ? '' : '_k' + kSelect;
+  var pxFilter = cleanupSettings.minPixels;  // minimum connected pixel count
+  // polygon cleanup filename tag (morphology, gap merging, simplification)
+  var cleanupVar = cleanupTag(cleanupSettings);
+
+  // rule and polygon attributes of the exported candidates
+  var attributeVectors = function(vectors) {
+    if(options.agreement === true) {
+      vectors = addRuleAttributes(vectors, rules, Res);
+    }
+    if(records !== null && records.asset) {
+      vectors = matchRecordedFires(vectors, loadRecords(records, year_select), records.idProperty);
+    }
+    return addPolygonAttributes(vectors, yearRun, ruleSettings, Res);
+  };
+
+  // vectorize, attribute and export the candidates of one grid cell (or the ROI)
+  var exportCell = function(cellROI, cellVar) {
+    var agreeIMG = ruleAgreement(rules).clip(cellROI);
+    var subIMG = candidateMask(rules, kSelect, cellROI);
+
+    // stitched tiles are exported as one layer per year below
+    if(stitch === false) {
+      var vectors = attributeVectors(vectorizeCandidates(subIMG, cellROI, Res, cleanupSettings));
+
+      var description = "candidateFires__"+year_select+'__'+cellVar+"_"+pxFilter+'px'+Res+'m'+kVar+cleanupVar;
+      queued.push(exportTable(vectors, description, exportSettings));
+    }
+
+    if(options.agreement === true) {
+      var agreeDescription = "ruleAgreement__"+year_select+'__'+cellVar+"_"+Res+'m';
+      queued.push(exportImage(agreeIMG, agreeDescription, cellROI, Res, 'EPSG:4326', exportSettings));
+    }
+
+    // probability and binary candidate (k of N) rasters for the QA tooling
+    if(exportSettings.rasters === true) {
+      var rasterVar = '__'+cellVar+"_"+exportSettings.rasterScale+'m_'+exportSettings.rasterCrs.replace(':', '');
+      queued.push(exportImage(yearRun.predictedImage.clip(cellROI), "rfProbability__"+year_select+rasterVar,
+                              cellROI, exportSettings.rasterScale, exportSettings.rasterCrs, exportSettings));
+      queued.push(exportImage(subIMG.unmask(0).clip(cellROI).toByte(), "candidateMask__"+year_select+rasterVar+kVar,
+                              cellROI, exportSettings.rasterScale, exportSettings.rasterCrs, exportSettings));
+    }
+  };
+
+  if(tiles === null) {
+    exportCell(yearRun.ROI.geometry(), options.roiName || 'drawROI');
+    return queued;
+  }
+
+  var tileIds = options.tileIds || tiles.aggregate_array('cell_id').getInfo();
+
+  // loop through each grid cell touching the ROI
+  tileIds.forEach(function(cellId) {
+    var subROI = tiles.filter(ee.Filter.eq('cell_id', cellId)).geometry();
+    exportCell(subROI, cellId);
+  });
+
+  // one de-duplicated layer: vectorize per tile, dissolve across the seams,
+  // then apply the minimum size / simplification and recompute the attributes
+  if(stitch === true) {
+    // morphology on the unclipped mask, so open/close doesn't erode the polygons at the seams
+    var candidateIMG = cleanCandidateMask(candidateMask(rules, kSelect), cleanupSettings);
+    var seamCleanup = {
+      minPixels: 0,
+      morph: 'none',
+      morphRadius: cleanupSettings.morphRadius,
+      gap: cleanupSettings.gap,
+      simplify: 0
+    };
+    var tileVectors = ee.FeatureCollection(tileIds.map(function(cellId) {
+      var subROI = tiles.filter(ee.Filter.eq('cell_id', cellId)).geometry();
+      return vectorizeCandidates(candidateIMG.clip(subROI), subROI, Res, seamCleanup);
+    })).flatten();
+    var usedTiles = tiles.filter(ee.Filter.inList('cell_id', tileIds));
+    var stitched = stitchTiles(tileVectors, usedTiles, candidateIMG, Res);
+    stitched = attributeVectors(filterAndSimplify(stitched, cleanupSettings));
+
+    var stitchDescription = "candidateFires__"+year_select+'__stitched_'+pxFilter+'px'+Res+'m'+kVar+cleanupVar;
+    queued.push(exportTable(stitched, stitchDescription, exportSettings));
+  }
+  return queued;
+};
+
+
+
+exports.useClient = useClient;
+exports.defaultROIAsset = defaultROIAsset;
+exports.defaultTrainingAsset = defaultTrainingAsset;
+exports.defaultScale = defaultScale;
+exports.geoJSONError = geoJSONError;
+exports.roiFromGeoJSON = roiFromGeoJSON;
+
+exports.reflectanceBands = reflectanceBands;
+exports.indexRegistry = indexRegistry;
+exports.allVars = allVars;
+exports.allVariables = allVariables;
+exports.predictorVariables = predictorVariables;
+exports.indexImage = indexImage;
+exports.computeIndices = computeIndices;
+exports.deltaIndices = deltaIndices;
+exports.formulaFunctions = formulaFunctions;
+exports.registerIndex = registerIndex;
+
+exports.tasseledCapCoefs = tasseledCapCoefs;
+exports.landsatSensors = landsatSensors;
+exports.harmonizationSets = harmonizationSets;
+exports.harmonizeCollection = harmonizeCollection;
+exports.getTasseledCap = getTasseledCap;
+exports.getTCB = getTCB;
+exports.getTCG = getTCG;
+exports.getTCW = getTCW;
+
+exports.isMonthDay = isMonthDay;
+exports.adaptiveStart = adaptiveStart;
+exports.adaptiveEnd = adaptiveEnd;
+exports.getSnowFreeWindow = getSnowFreeWindow;
+exports.maskSnowSeason = maskSnowSeason;
+exports.defaultWindow = defaultWindow;
+exports.seasonFilter = seasonFilter;
+
+exports.defaultCollectionOptions = defaultCollectionOptions;
+exports.buildLandsatCollection = buildLandsatCollection;
+exports.observationSensors = observationSensors;
+exports.buildSceneCollection = buildSceneCollection;
+exports.landMasks = landMasks;
+
+exports.seasonalComposites = seasonalComposites;
+exports.defaultRfParams = defaultRfParams;
+exports.trainClassifier = trainClassifier;
+exports.predictBurnProbability = predictBurnProbability;
+exports.baselineDeviations = baselineDeviations;
+exports.runYear = runYear;
+exports.saveModel = saveModel;
+exports.collectionMismatches = collectionMismatches;
+
+exports.trainFraction = trainFraction;
+exports.validationFolds = validationFolds;
+exports.assessClassifier = assessClassifier;
+exports.validationTable = validationTable;
+exports.predictorTag = predictorTag;
+
+exports.defaultRuleSettings = defaultRuleSettings;
+exports.applyRules = applyRules;
+exports.ruleNames = ruleNames;
+exports.ruleAgreement = ruleAgreement;
+exports.addRuleAttributes = addRuleAttributes;
+exports.addPolygonAttributes = addPolygonAttributes;
+exports.candidateMask = candidateMask;
+
+exports.defaultCleanup = defaultCleanup;
+exports.cleanupTag = cleanupTag;
+exports.cleanCandidateMask = cleanCandidateMask;
+exports.dissolvePolygons = dissolvePolygons;
+exports.filterAndSimplify = filterAndSimplify;
+exports.vectorizeCandidates = vectorizeCandidates;
+exports.stitchTiles = stitchTiles;
+exports.buildTiles = buildTiles;
+
+exports.recordedFraction = recordedFraction;
+exports.loadRecords = loadRecords;
+exports.matchRecordedFires = matchRecordedFires;
+
+exports.defaultExportSettings = defaultExportSettings;
+exports.exportTable = exportTable;
+exports.exportImage = exportImage;
+exports.exportCandidates = exportCandidates;